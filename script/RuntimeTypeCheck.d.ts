@@ -1,6 +1,12 @@
-export type Article = 'a' | 'an';
-/** Extended `typeof`. Used in {@link RuntimeTypeCheck.getType}. */
-export type Type = 'array' | 'NaN' | 'null' | 'string' | 'number' | 'bigint' | 'boolean' | 'symbol' | 'undefined' | 'object' | 'function';
+export type Article = 'a' | 'an' | (string & {});
+/**
+ * Extended `typeof`. Used in {@link RuntimeTypeCheck.getType}.
+ *
+ * Objects that are not plain object literals are denoted by
+ * their constructor name, so besides the listed builtins,
+ * this may be the name of any class.
+ */
+export type Type = 'array' | 'NaN' | 'null' | 'string' | 'number' | 'bigint' | 'boolean' | 'symbol' | 'undefined' | 'object' | 'function' | 'Date' | 'RegExp' | 'Map' | 'Set' | 'WeakMap' | 'WeakSet' | 'Promise' | 'Error' | 'ArrayBuffer' | 'DataView' | 'Int8Array' | 'Uint8Array' | 'Uint8ClampedArray' | 'Int16Array' | 'Uint16Array' | 'Int32Array' | 'Uint32Array' | 'Float32Array' | 'Float64Array' | 'BigInt64Array' | 'BigUint64Array' | (string & {});
 /**
  * Data describing attributes of a value that did not pass
  * a condition's assertion. Utilized in {@link Condition.is}.
@@ -10,6 +16,70 @@ export interface IsData {
     type: Type;
     article: Article;
 }
+/**
+ * A value that is contained within another value (e.g. an array item),
+ * along with its key and the descriptor it needs to match.
+ * Returned by {@link Condition.inner}.
+ */
+export interface InnerValue {
+    key: PropertyKey;
+    val: any;
+    descriptor: Descriptor;
+}
+/**
+ * A single failure found by {@link RuntimeTypeCheck.validate}.
+ *
+ * `expected` and `is` are the two message parts of the failing
+ * inner value itself (not of the whole validated value).
+ */
+export interface ValidationFailure {
+    path: PropertyKey[];
+    expected: string;
+    is: string;
+    condition: Condition;
+}
+/** Result of {@link RuntimeTypeCheck.validate}. */
+export interface ValidationResult {
+    ok: boolean;
+    errors: ValidationFailure[];
+}
+/**
+ * Assertion function returned by {@link RuntimeTypeCheck.compile}.
+ * Equivalent to {@link RuntimeTypeCheck.assert} with the compiled descriptor.
+ */
+export interface CompiledAssertion {
+    (val: any): boolean;
+    /**
+     * Equivalent to {@link RuntimeTypeCheck.assertAndThrow} with the compiled
+     * descriptor. The error message is only computed if the assertion fails.
+     */
+    assertAndThrow: (val: any) => boolean;
+    /** The compiled descriptor. */
+    descriptor: Descriptor;
+}
+/**
+ * Configuration of how failing assertions are handled.
+ * @see {@link RuntimeTypeCheck.configure}
+ */
+export interface TypeCheckConfig {
+    /**
+     * Whether values are checked at all. If disabled, the throwing methods
+     * pass every value without evaluating any condition.
+     */
+    enabled: boolean;
+    /**
+     * What to do with a failure: throw the error, log it via
+     * `console.warn` or do nothing (besides calling {@link onFailure}).
+     */
+    mode: 'throw' | 'warn' | 'silent';
+    /** Called with every failure before it is handled according to {@link mode}. */
+    onFailure?: (error: TypeCheckError | TypeCheckAggregateError) => void;
+}
+/**
+ * A JSON Schema (draft 2020-12) fragment.
+ * Used in {@link Condition.schema} and {@link RuntimeTypeCheck.toJSONSchema}.
+ */
+export type JSONSchema = Record<string, any>;
 export interface ExpectedData {
     type: string;
 }
@@ -37,7 +107,11 @@ export interface Message {
     type?: string;
     after?: string;
 }
-interface MessagePartial {
+/**
+ * A {@link Message} whose parts have been merged with the messages of
+ * its extended conditions, see {@link RuntimeTypeCheck.mergeDescriptorMessages}.
+ */
+export interface MessagePartial {
     before: string[];
     type?: string;
     after: string[];
@@ -58,8 +132,86 @@ export interface Condition {
      *
      * The passed value is ensured to match the specified
      * {@link Descriptor} in {@link Condition.conditions}, if any.
+     *
+     * The assertion may be asynchronous by returning a promise, in which case
+     * the condition can only be asserted via {@link RuntimeTypeCheck.assertAsync}
+     * and {@link RuntimeTypeCheck.assertAndThrowAsync}.
+     */
+    assert: (value: any) => boolean | Promise<boolean>;
+    /**
+     * Only relevant for conditions that assert the values *inside* of a value,
+     * like {@link RuntimeTypeCheck.Cond.array} does with its items:
+     * Return the inner values along with their key and the descriptor
+     * that they need to match.
+     *
+     * This is used to determine the path to the failing inner value,
+     * see {@link TypeCheckError.path}. Like {@link assert}, the passed value
+     * is ensured to match the specified {@link Condition.conditions}, if any.
+     *
+     * @example
+     * Assuming the condition asserts an array whose items match
+     * some `descriptor`, every item is returned with its index as key:
+     * ```js
+     * inner: val => val.map((item, i) => ({ key: i, val: item, descriptor }))
+     * ```
+     */
+    inner?: (value: any) => InnerValue[];
+    /**
+     * Convert a raw value into a value that may match the condition,
+     * e.g. the string "3.5" into the number 3.5. Values that cannot be
+     * converted should be returned unchanged.
+     *
+     * Coercion is opt-in: It is only utilized by {@link RuntimeTypeCheck.parse}
+     * and {@link RuntimeTypeCheck.coerce}, never by {@link RuntimeTypeCheck.assert}.
+     * The passed value has already been coerced by the
+     * specified {@link Condition.conditions}, if any.
+     *
+     * @example
+     * ```js
+     * coerce: val => val === 'true' ? true : val === 'false' ? false : val
+     * ```
+     */
+    coerce?: (value: any) => any;
+    /**
+     * Return the descriptor that a value is effectively asserted against,
+     * if this depends on the value, or undefined otherwise. It replaces the
+     * condition when describing the expected value of a failure, so that
+     * only the relevant part is reported. Like {@link inner}, the passed value
+     * is ensured to match the specified {@link Condition.conditions}, if any.
+     *
+     * @example
+     * Assuming the condition selects a descriptor of `branches` by the property `type`:
+     * ```js
+     * narrow: val => branches[val.type]
+     * ```
+     */
+    narrow?: (value: any) => Descriptor | undefined;
+    /**
+     * The JSON Schema keywords that represent the assertion of this condition,
+     * used by {@link RuntimeTypeCheck.toJSONSchema}. Like {@link shouldBe},
+     * only the condition's own assertion needs to be described since the
+     * schemas of the specified {@link Condition.conditions} are merged into it.
+     *
+     * Conditions without a schema are left unconstrained with a warning.
+     *
+     * @example
+     * Assuming the condition asserts a positive number
+     * and specifies the condition {@link RuntimeTypeCheck.Cond.number}:
+     * ```js
+     * schema: { exclusiveMinimum: 0 }
+     * ```
      */
-    assert: (value: any) => boolean;
+    schema?: JSONSchema;
+    /**
+     * A stable identifier of the condition, e.g. `"integer"` or `"keywords"`.
+     * Exposed as {@link TypeCheckError.code} when the condition fails,
+     * so that errors can be handled programmatically without
+     * depending on the (possibly localized) messages.
+     *
+     * The conditions in {@link RuntimeTypeCheck.Cond} are named after
+     * their member, type conditions after their type (e.g. `"string"`).
+     */
+    code?: string;
     /**
      * Denote what the expected value should be.
      * @see {@link Message}.
@@ -124,18 +276,93 @@ export type Descriptor = ConditionList[];
  * a list of conditions, *all* of which must match.
  */
 export type ConditionList = Condition | Condition[];
+/**
+ * Map of property keys to the descriptor that the respective
+ * property value needs to match. Used in {@link RuntimeTypeCheck.Cond.shape}.
+ *
+ * As a shorthand, a single condition may be passed instead of a descriptor.
+ */
+export type Shape = Record<string, Descriptor | Condition>;
+/**
+ * Options of {@link RuntimeTypeCheck.guard}, passed after the descriptors of the arguments.
+ */
+export interface GuardOptions {
+    /**
+     * The descriptor of the return value. As a shorthand,
+     * a single condition may be passed instead of a descriptor.
+     */
+    returns?: Descriptor | Condition;
+}
+/**
+ * A localized message: Either a fixed string or {@link Message},
+ * or a function returning one. Functions of `shouldBe` messages receive
+ * the arguments of their condition, functions of `is` messages
+ * additionally receive the {@link IsData} as their first argument.
+ */
+export type LocaleMessage = string | Message | ((...args: any[]) => string | Message);
+/**
+ * A set of all messages and the grammar helpers used to compose them.
+ * Registered via {@link RuntimeTypeCheck.registerLocale}.
+ */
+export interface Locale {
+    /**
+     * Compose the message of a {@link TypeCheckError}.
+     * @param path The pretty path (see {@link RuntimeTypeCheck.getPrettyPath}), empty if not applicable.
+     */
+    typeCheckError: (expected: string, is: string, path: string) => string;
+    /** Join the alternative expected messages of a descriptor (OR). */
+    joinAlternatives: (alternatives: string[]) => string;
+    /**
+     * Join the `after` clauses of a single expected message,
+     * e.g. "with 6 digits that is cool and is divisible by 5".
+     */
+    joinClauses: (clauses: string[]) => string;
+    /** Get the indefinite article of the given string, see {@link RuntimeTypeCheck.getArticle}. */
+    getArticle: (value: string) => Article;
+    /** Prefix an expected message with its article unless it denotes a specific value. */
+    prefixArticle: (expected: string) => string;
+    /** Enumerate the given items as a list of alternatives, e.g. "first, second or third". */
+    enumerate: (list: string[]) => string;
+    /** All messages of the builtin conditions, see {@link LocaleMessage}. */
+    messages: Record<string, LocaleMessage>;
+}
+/**
+ * A partial {@link Locale}. Missing helpers and messages
+ * fall back to the English default.
+ */
+export type LocalePack = Partial<Omit<Locale, 'messages'>> & {
+    messages?: Record<string, LocaleMessage>;
+};
 export declare class Cond {
     #private;
     /** Assert a value to be of {@link Type}. */
-    static typeof: typeof Cond.__#1@#conditionTypeof;
-    /** Assert a value to be a boolean. */
+    static typeof: (type: string) => Condition;
+    /**
+     * Assert a value to be a boolean.
+     * Coerces the strings "true" and "false".
+     */
     static boolean: Condition;
     /** Assert a value to be a function. */
     static function: Condition;
-    /** Assert a value to be a number. */
+    /**
+     * Assert a value to be a number.
+     * Coerces numeric strings like "3.5".
+     */
     static number: Condition;
     /** Assert a value to be a string. */
     static string: Condition;
+    /**
+     * Assert a value to be a bigint.
+     * Coerces strings of whole numbers like "42".
+     */
+    static bigint: Condition;
+    /** Assert a value to be `null`. */
+    static null: Condition;
+    /**
+     * Assert a value to be `undefined`.
+     * In a JSON Schema, it is represented by a schema that matches nothing.
+     */
+    static undefined: Condition;
     /** Assert a value to be `true`. Implies {@link boolean}. */
     static true: Condition;
     /** Assert a value to be `false`. Implies {@link boolean}. */
@@ -157,12 +384,51 @@ export declare class Cond {
      * Generate a condition that asserts a value to be an object literal,
      * optionally with the given descriptor inside it.
      *
+     * Instances of classes (including builtins like `Map` or `Date`)
+     * are not object literals, see {@link RuntimeTypeCheck.getType}.
+     *
      * This function itself is a condition without inner types,
      * so it can be used as `Cond.object` as an alias to `Cond.object()`.
      *
      * @param keyName A concise key description used when displaying the type: `Object<keyName, ...>`.
      */
     static object: ((keyName?: string, ...descriptor: Descriptor) => Condition) & Condition;
+    /**
+     * Generate a condition that asserts a value to be a `Map`,
+     * optionally with the given descriptors for its keys and values.
+     *
+     * This function itself is a condition without inner types,
+     * so it can be used as `Cond.map` as an alias to `Cond.map()`.
+     *
+     * @param keyDescriptor The descriptor that every key needs to match.
+     * @param valueDescriptor The descriptor that every value needs to match.
+     */
+    static map: ((keyDescriptor?: Descriptor | Condition, valueDescriptor?: Descriptor | Condition) => Condition) & Condition;
+    /**
+     * Generate a condition that asserts a value to be a `Set`,
+     * optionally with the given descriptor inside it.
+     *
+     * This function itself is a condition without inner types,
+     * so it can be used as `Cond.set` as an alias to `Cond.set()`.
+     */
+    static set: ((...descriptor: Descriptor) => Condition) & Condition;
+    /**
+     * Generate a condition that asserts a value to be an object literal
+     * whose keys match the given key descriptor and whose property values
+     * match the given value descriptor. Implies {@link object}.
+     *
+     * @example
+     * ```js
+     * Cond.record(Cond.pattern(/^--/, 'a custom property'), Cond.string);
+     * ```
+     * Produces the message "Expected Object<string matching a custom property, string>, got [...]".
+     *
+     * @param keyDescriptor The conditions every key needs to match.
+     *                      A single condition may be passed instead of a descriptor.
+     * @param valueDescriptor The conditions every property value needs to match.
+     *                        A single condition may be passed instead of a descriptor.
+     */
+    static record(keyDescriptor: Descriptor | Condition, valueDescriptor: Descriptor | Condition): Condition;
     /**
      * Assert a value to be positive.
      * Implies {@link number}.
@@ -173,6 +439,93 @@ export declare class Cond {
      * Implies {@link string} OR {@link array}.
      */
     static nonempty: Condition;
+    /**
+     * Assert a value to be not negative (0 or more).
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static nonnegative: Condition;
+    /**
+     * Assert a value to be finite (not `Infinity` or `-Infinity`).
+     * Implies {@link number}.
+     */
+    static finite: Condition;
+    /**
+     * Assert a value to be a safe integer, that is, an integer that
+     * can be exactly represented as a number (see `Number.isSafeInteger`).
+     * Implies {@link integer}.
+     */
+    static safeInteger: Condition;
+    /** Assert a value to be a UUID (any version, case-insensitive). Implies {@link string}. */
+    static uuid: Condition;
+    /**
+     * Assert a value to be a plausible email address of the form `local@domain.tld`.
+     * Implies {@link string}.
+     */
+    static email: Condition;
+    /**
+     * Assert a value to be an absolute URL with a scheme, e.g. `https://example.com`.
+     * Implies {@link string}.
+     */
+    static url: Condition;
+    /**
+     * Assert a value to be an ISO 8601 date (`YYYY-MM-DD`), optionally
+     * followed by a time and a timezone offset. Implies {@link string}.
+     */
+    static isoDate: Condition;
+    /**
+     * Assert a value to be a hexadecimal CSS color with 3, 4, 6 or 8 digits
+     * prefixed by a `#`. Implies {@link string}.
+     */
+    static hexColor: Condition;
+    /**
+     * Assert a value to be a valid (ASCII) JavaScript identifier.
+     * Implies {@link string}.
+     */
+    static identifier: Condition;
+    /**
+     * Generate a condition that asserts a value to be exactly one of the
+     * given values (compared via `Array.prototype.includes`).
+     *
+     * @example
+     * ```js
+     * Cond.literal(0, 42n, null);
+     * ```
+     * Produces the message "Expected one of the values 0, 42n or null, got [...]".
+     */
+    static literal(...values: any[]): Condition;
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor OR to be `null`.
+     *
+     * @example
+     * `Cond.nullable([ Cond.positive, Cond.integer ])` produces
+     * the message "Expected positive integer OR null, got [...]".
+     */
+    static nullable(...descriptor: Descriptor): Condition;
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor OR to be `undefined`.
+     *
+     * Inside of a {@link shape}, this also allows the property to be missing,
+     * inside of a {@link tuple}, this marks an optional trailing element.
+     */
+    static optional(...descriptor: Descriptor): Condition;
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor OR to be `null` OR `undefined`.
+     */
+    static nullish(...descriptor: Descriptor): Condition;
+    /**
+     * Generate a condition that asserts a value to be an instance
+     * of the given class (using `instanceof`).
+     *
+     * @example
+     * ```js
+     * Cond.instanceOf(HTMLElement);
+     * ```
+     * Produces the message "Expected HTMLElement, got [...]".
+     */
+    static instanceOf(Class: abstract new (...args: any[]) => any): Condition;
     /**
      * Generate a condition that asserts a value to be only the specified strings.
      * Implies {@link string}.
@@ -183,15 +536,476 @@ export declare class Cond {
      * Implies {@link string} OR {@link array}.
      */
     static length(len: number): Condition;
+    /**
+     * Generate a condition that asserts a value to be of the given length or longer.
+     * Implies {@link string} OR {@link array}.
+     */
+    static minLength(len: number): Condition;
+    /**
+     * Generate a condition that asserts a value to be of the given length or shorter.
+     * Implies {@link string} OR {@link array}.
+     */
+    static maxLength(len: number): Condition;
+    /**
+     * Generate a condition that asserts a value to be a string
+     * matching the given regular expression.
+     * Implies {@link string}.
+     *
+     * @example
+     * ```js
+     * Cond.pattern(/^[a-z-]+$/, 'a kebab-case word');
+     * ```
+     * Produces the message "string matching a kebab-case word".
+     *
+     * @param regex The regular expression to test the value against.
+     * @param description Description of the pattern used in the messages.
+     *                    Defaults to the regular expression itself.
+     */
+    static pattern(regex: RegExp, description?: string): Condition;
+    /**
+     * Generate a condition that asserts a value to be greater than
+     * or equal to the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static min(value: number | bigint): Condition;
+    /**
+     * Generate a condition that asserts a value to be less than
+     * or equal to the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static max(value: number | bigint): Condition;
+    /**
+     * Generate a condition that asserts a value to be greater than the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static greaterThan(value: number | bigint): Condition;
+    /**
+     * Generate a condition that asserts a value to be less than the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static lessThan(value: number | bigint): Condition;
+    /**
+     * Generate a condition that asserts a value to be inside the given interval.
+     * Implies {@link number} OR {@link bigint}.
+     *
+     * @param min Lower interval boundary.
+     * @param max Upper interval boundary.
+     * @param minExclusive Whether the lower boundary is excluded from the interval.
+     * @param maxExclusive Whether the upper boundary is excluded from the interval.
+     */
+    static range(min: number | bigint, max: number | bigint, minExclusive?: boolean, maxExclusive?: boolean): Condition;
+    /**
+     * Generate a condition that asserts a value to be a multiple of
+     * (divisible by) the given divisor.
+     * Implies {@link number} OR {@link bigint}.
+     *
+     * For fractional divisors, the quotient may deviate from a whole number by
+     * a tolerance of 1e-9 to account for floating point errors, so that e.g.
+     * `0.3` is a multiple of `0.1`.
+     */
+    static multipleOf(divisor: number | bigint): Condition;
+    /**
+     * Generate a condition that asserts a value to be an object literal
+     * whose properties match the respective descriptors of the given shape.
+     * Properties not contained in the shape are ignored, unless `strict` is set:
+     * Then, unknown properties are reported along with the most similar
+     * known key, which helps with typos ("did you mean "width"?"). An unknown
+     * property that is likely a typo of a missing property is reported first.
+     * Implies {@link object}.
+     *
+     * Note that, like {@link Condition.conditions}, every property descriptor
+     * is an OR list of AND lists, so an AND combination needs to be nested.
+     *
+     * @example
+     * ```js
+     * Cond.shape({
+     *   width: [[ Cond.positive, Cond.integer ]],
+     *   mode: Cond.keywords('horizontal', 'vertical')
+     * }, [ 'mode' ]);
+     * ```
+     *
+     * @param properties The descriptor of each property.
+     * @param optionalKeys Keys of properties that may be missing or `undefined`.
+     * @param strict Whether to reject properties that are not contained in the shape.
+     */
+    static shape(properties: Shape, optionalKeys?: string[], strict?: boolean): Condition;
+    /**
+     * Generate a condition that asserts a value to be an array whose items
+     * match the given descriptors position by position (a tuple).
+     * Implies {@link array}.
+     *
+     * Trailing elements wrapped in {@link optional} may be missing or `undefined`.
+     * If the last element is wrapped in {@link rest}, all items after the
+     * other elements need to match its descriptor. Otherwise, no further
+     * items are allowed.
+     *
+     * Note that, like {@link Condition.conditions}, every element descriptor
+     * is an OR list of AND lists, so an AND combination needs to be nested.
+     *
+     * @example
+     * A tuple of two numbers and an optional string, followed by any amount
+     * of booleans: `[number, number, string?, ...Array<boolean>]`
+     * ```js
+     * Cond.tuple(Cond.number, Cond.number, Cond.optional(Cond.string), Cond.rest(Cond.boolean));
+     * ```
+     *
+     * @param elements The descriptor of each position.
+     *                 A single condition may be passed instead of a descriptor.
+     */
+    static tuple(...elements: Array<Descriptor | Condition>): Condition;
+    /**
+     * Generate a condition that asserts a value to be an array whose
+     * items all match the given descriptor, like {@link array}.
+     *
+     * As the last element of a {@link tuple}, it denotes the descriptor
+     * that all items after the other elements need to match.
+     */
+    static rest(...descriptor: Descriptor): Condition;
+    /**
+     * Generate a condition that asserts an object to match the descriptor
+     * of the branch that its discriminator property (tag) selects
+     * (a discriminated union). Implies {@link object}.
+     *
+     * Unlike an OR list of the branches, failures are only reported from
+     * the selected branch instead of the seemingly closest one, and an unknown
+     * tag is reported as such.
+     *
+     * @example
+     * ```js
+     * const shape = Cond.union('type', {
+     *   circle: Cond.shape({ r: Cond.positive }),
+     *   rect: Cond.shape({ w: Cond.positive, h: Cond.positive }),
+     * });
+     * ```
+     * The value `{ type: 'rect', w: 1, h: 0 }` produces the message "Expected object whose
+     * property "w" is a positive number and whose property "h" is a positive number, [...]",
+     * while `{ type: 'triangle' }` produces "[...], got unknown type "triangle", expected one of "circle" or "rect"".
+     *
+     * @param key The discriminator property.
+     * @param branches Map of each tag to the descriptor of its branch.
+     *                 A single condition may be passed instead of a descriptor.
+     */
+    static union(key: string, branches: Record<string, Descriptor | Condition>): Condition;
+    /**
+     * Generate a condition that asserts a value to match the descriptor
+     * returned by the given function, which is only called once needed.
+     * This allows a descriptor to reference itself, e.g. to describe
+     * tree-shaped data.
+     *
+     * In messages, the condition is referred to by the given name
+     * instead of the full descriptor.
+     *
+     * Cyclic values are supported: A value that is encountered again while
+     * it is still being asserted against the same condition is assumed to match.
+     *
+     * @example
+     * ```js
+     * const node = Cond.lazy('Node', () => nodeShape);
+     * const nodeShape = Cond.shape({
+     *   name: Cond.string,
+     *   children: Cond.array(node)
+     * });
+     * ```
+     * `nodeShape` produces the message "object whose property "name" is a string
+     * and whose property "children" is an Array<Node>".
+     *
+     * @param name Name of the descriptor used in messages.
+     * @param getDescriptor Function returning the descriptor to assert.
+     *                      A single condition may be returned instead of a descriptor.
+     */
+    static lazy(name: string, getDescriptor: () => Descriptor | Condition): Condition;
+    /**
+     * Generate a condition that asserts a value to be a `Promise`
+     * whose resolved value matches the given descriptor.
+     * A rejected promise never matches.
+     *
+     * Since the promise needs to be awaited, the condition is asynchronous
+     * and can only be asserted via {@link RuntimeTypeCheck.assertAsync}
+     * and {@link RuntimeTypeCheck.assertAndThrowAsync}.
+     *
+     * @example
+     * ```js
+     * await RuntimeTypeCheck.assertAndThrowAsync(fetchUser(), Cond.promise(userShape));
+     * ```
+     * A promise resolving to `null` produces the message
+     * "Expected Promise<[...]>, got Promise<null>".
+     *
+     * @param descriptor The descriptor that the resolved value needs to match.
+     *                   May contain asynchronous conditions as well.
+     */
+    static promise(...descriptor: Descriptor): Condition;
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor or to be `undefined`, like {@link optional}.
+     * When coercing (see {@link RuntimeTypeCheck.parse}), `undefined`
+     * is replaced with the given default value.
+     *
+     * @example
+     * ```js
+     * // { step: 1 }
+     * RuntimeTypeCheck.parse({}, Cond.shape({ step: Cond.withDefault(1, Cond.number) }));
+     * ```
+     *
+     * @param defaultValue The value that replaces a missing value.
+     * @param descriptor The descriptor that a present value needs to match.
+     *                   A single condition may be passed instead of a descriptor.
+     */
+    static withDefault(defaultValue: any, descriptor: Descriptor | Condition): Condition;
+}
+/**
+ * Machine-readable details of a {@link TypeCheckError}.
+ * @see {@link TypeCheckError.condition}
+ */
+export interface TypeCheckErrorDetails {
+    condition?: Condition;
+    value?: any;
+    alternatives?: MessagePartial[];
 }
 export declare class TypeCheckError extends Error {
     expected: string;
     is: string;
-    constructor(expected: string, is: string);
+    /**
+     * Keys leading from the asserted value to the failing inner value,
+     * e.g. `[ 3, 'items', 0 ]` for an item of an array inside an object
+     * inside an array. Empty if the asserted value itself failed.
+     *
+     * @see {@link RuntimeTypeCheck.getFailingPath}
+     */
+    path: PropertyKey[];
+    /**
+     * The most relevant failing condition of the value at {@link path}
+     * (see {@link RuntimeTypeCheck.assertFind}), if known.
+     */
+    condition: Condition | undefined;
+    /** The {@link Condition.code} of the failing {@link condition}, if any. */
+    code: string | undefined;
+    /** The offending value, i.e. the value at {@link path}. */
+    value: any;
+    /**
+     * Every expected alternative that makes up the {@link expected} message,
+     * see {@link RuntimeTypeCheck.mergeDescriptorMessages}.
+     */
+    alternatives: MessagePartial[];
+    constructor(expected: string, is: string, path?: PropertyKey[], details?: TypeCheckErrorDetails);
+    /**
+     * Return a plain object representing the error, suitable for
+     * `JSON.stringify` (e.g. to send it over the wire). Symbol keys
+     * of the path are stringified. The offending {@link value} is
+     * left out since it is not necessarily serializable.
+     */
+    toJSON(): {
+        name: string;
+        code: string | null;
+        message: string;
+        expected: string;
+        is: string;
+        path: (string | number)[];
+        alternatives: MessagePartial[];
+    };
+}
+/**
+ * {@link TypeCheckError} of an argument or the return value of a
+ * function guarded by {@link RuntimeTypeCheck.guard}. Its message is
+ * prefixed with the failing argument and the function name.
+ */
+export declare class FunctionTypeCheckError extends TypeCheckError {
+    functionName: string;
+    /** Index of the failing argument, starting at 0. `-1` for the return value. */
+    argumentIndex: number;
+    /** Name of the failing parameter, if it could be determined. */
+    argumentName: string | undefined;
+    constructor(error: TypeCheckError, functionName: string, argumentIndex: number, argumentName?: string);
+}
+/**
+ * {@link TypeCheckError} of a value assigned to a class member decorated
+ * with {@link RuntimeTypeCheck.typed}. Its message is prefixed with the
+ * class and member name, e.g. `Slider#range`.
+ */
+export declare class PropertyTypeCheckError extends TypeCheckError {
+    className: string;
+    propertyName: string | symbol;
+    constructor(error: TypeCheckError, className: string, context: ClassMemberDecoratorContext);
+    /**
+     * Get the name of a class member of the form `Class#member`
+     * or `Class.member` for static members.
+     *
+     * @internal
+     */
+    static getMemberName(className: string, context: ClassMemberDecoratorContext): string;
+}
+/**
+ * Error containing multiple {@link TypeCheckError}s.
+ * Thrown by {@link RuntimeTypeCheck.validateAndThrow}.
+ */
+export declare class TypeCheckAggregateError extends Error {
+    errors: TypeCheckError[];
+    constructor(errors: TypeCheckError[]);
+    /** Like {@link TypeCheckError.toJSON}, containing every error. */
+    toJSON(): {
+        name: string;
+        message: string;
+        errors: {
+            name: string;
+            code: string | null;
+            message: string;
+            expected: string;
+            is: string;
+            path: (string | number)[];
+            alternatives: MessagePartial[];
+        }[];
+    };
+}
+/**
+ * Error denoting a malformed condition inside of a descriptor.
+ * Thrown by {@link RuntimeTypeCheck.checkDescriptor} and by the
+ * condition generators of {@link Cond} when passed a malformed descriptor.
+ */
+export declare class ConditionDefinitionError extends Error {
+    /**
+     * Keys leading from the checked descriptor to the malformed condition,
+     * e.g. `[ 1, 0, 'conditions', 0 ]` for the first nested condition of
+     * the first condition of the second condition list.
+     * If thrown by a condition generator, the position starts at its arguments,
+     * e.g. `[ 'width', 0 ]` for a property of {@link Cond.shape}.
+     */
+    position: PropertyKey[];
+    /** The offending field of the condition, if the condition is an object. */
+    key: string | undefined;
+    /** Why the condition is malformed. */
+    reason: string;
+    /**
+     * @param generator Name of the condition generator whose
+     *                  arguments the position refers to, if any.
+     */
+    constructor(position: PropertyKey[], key: string | undefined, reason: string, generator?: string);
 }
 export declare class RuntimeTypeCheck {
     #private;
     static Cond: typeof Cond;
+    /**
+     * Create an instance with its own configuration (see {@link configure}),
+     * which is not affected by the global configuration. This is meant for
+     * libraries that should behave the same regardless of how the embedding
+     * application configures `RuntimeTypeCheck`.
+     *
+     * Instances provide the methods whose failures are handled according
+     * to the configuration; everything else is only available statically.
+     *
+     * @example
+     * ```js
+     * const typeCheck = new RuntimeTypeCheck({ mode: 'warn' });
+     * typeCheck.assertAndThrow(3, Cond.string); // Logs the TypeCheckError and returns false
+     * ```
+     *
+     * @param config Options that differ from the defaults
+     *               (`{ enabled: true, mode: 'throw' }`).
+     */
+    constructor(config?: Partial<TypeCheckConfig>);
+    /**
+     * Configure how failing assertions are handled by the methods that would
+     * throw a {@link TypeCheckError}: {@link assertAndThrow}, {@link validateAndThrow},
+     * {@link parse}, {@link guard}, {@link checked}, the decorators and the
+     * `assertAndThrow` of compiled assertions. Unspecified options are left as is.
+     *
+     * This configures the static methods, i.e. it is global.
+     * Libraries should create their own instance instead, see {@link constructor}.
+     *
+     * @example
+     * ```js
+     * // Production: skip all checks
+     * RuntimeTypeCheck.configure({ enabled: false });
+     * // Report failures instead of throwing
+     * RuntimeTypeCheck.configure({ mode: 'silent', onFailure: err => report(err.toJSON()) });
+     * ```
+     */
+    static configure(config: Partial<TypeCheckConfig>): void;
+    /** The global configuration, see {@link configure}. */
+    static get config(): Readonly<TypeCheckConfig>;
+    /** Like {@link RuntimeTypeCheck.configure}, but for this instance only. */
+    configure(config: Partial<TypeCheckConfig>): this;
+    /** The configuration of this instance. */
+    get config(): Readonly<TypeCheckConfig>;
+    /** Like {@link RuntimeTypeCheck.assertAndThrow}, using the configuration of this instance. */
+    assertAndThrow(val: any, ...descriptor: Descriptor): boolean;
+    /** Like {@link RuntimeTypeCheck.validateAndThrow}, using the configuration of this instance. */
+    validateAndThrow(val: any, ...descriptor: Descriptor): boolean;
+    /** Like {@link RuntimeTypeCheck.assertAndThrowAsync}, using the configuration of this instance. */
+    assertAndThrowAsync(val: any, ...descriptor: Descriptor): Promise<boolean>;
+    /**
+     * Like {@link RuntimeTypeCheck.parse}, using the configuration of this instance.
+     * Values are still coerced if checks are disabled.
+     */
+    parse(val: any, ...descriptor: Descriptor): any;
+    /** Like {@link RuntimeTypeCheck.guard}, using the configuration of this instance. */
+    guard<T extends (...args: any[]) => any>(fn: T, ...argDescriptors: Array<Descriptor | Condition> | [...Array<Descriptor | Condition>, GuardOptions]): T;
+    /** Like {@link RuntimeTypeCheck.compile}, using the configuration of this instance. */
+    compile(...descriptor: Descriptor): CompiledAssertion;
+    /** Like {@link RuntimeTypeCheck.typed}, using the configuration of this instance. */
+    typed(...descriptor: Descriptor): (value: any, context: ClassMemberDecoratorContext) => any;
+    /** Like {@link RuntimeTypeCheck.args}, using the configuration of this instance. */
+    args(...argDescriptors: Array<Descriptor | Condition>): <T extends (...args: any[]) => any>(value: T, context: ClassMethodDecoratorContext) => T;
+    /**
+     * Like {@link RuntimeTypeCheck.checked}, using the configuration of this instance.
+     * Mutations are applied if their failure is not thrown.
+     */
+    checked<T extends object>(obj: T, descriptor: Descriptor | Condition, strict?: boolean): T;
+    /** The current locale. See {@link setLocale}. */
+    static get locale(): Locale;
+    /**
+     * Register a locale pack under the given name, which can then be
+     * activated via {@link setLocale}. Helpers and messages that the pack
+     * does not specify fall back to English (the default locale "en").
+     *
+     * The messages of the builtin conditions are looked up by key
+     * (e.g. `positive.shouldBe` and `positive.is`), see {@link LocaleMessage}.
+     *
+     * @example
+     * ```js
+     * RuntimeTypeCheck.registerLocale('de', {
+     *   typeCheckError: (expected, is, path) => `Erwartet: ${expected}, erhalten: ${is}` + (path ? ` bei "${path}"` : ''),
+     *   joinAlternatives: alternatives => alternatives.join(' ODER '),
+     *   messages: {
+     *     'positive.shouldBe': { before: 'positive' },
+     *     'positive.is': 'eine negative Zahl oder 0',
+     *   }
+     * });
+     * RuntimeTypeCheck.setLocale('de');
+     * ```
+     */
+    static registerLocale(name: string, pack: LocalePack): void;
+    /**
+     * Activate a locale that has been registered via {@link registerLocale}.
+     * @param name The name of the locale. English is available as "en".
+     */
+    static setLocale(name: string): void;
+    /**
+     * Get the message of the given key in the current locale.
+     * If the message is a function, it is called with the given arguments.
+     *
+     * Custom conditions can use this to be localized as well, given that
+     * their keys are part of the registered locale packs:
+     * ```js
+     * get shouldBe() { return RuntimeTypeCheck.getMessage('even.shouldBe') },
+     * is: data => RuntimeTypeCheck.getMessage('even.is', data),
+     * ```
+     */
+    static getMessage(key: string, ...args: any[]): any;
+    /**
+     * Whether the messages generated by {@link mergeDescriptorMessages}
+     * (and thus {@link getMessageExpected}) are cached per condition list.
+     *
+     * The cache is keyed by the identity of the condition objects, so it
+     * should be disabled or cleared via {@link clearMessageCache} when
+     * conditions are mutated after their first use.
+     */
+    static cacheMessages: boolean;
+    /**
+     * Whether descriptors are checked for malformed conditions before
+     * being asserted, see {@link checkDescriptor}. Every condition is
+     * only checked once, but the check can be disabled in production
+     * to keep the hot path free of it.
+     */
+    static checkDescriptors: boolean;
     /**
      * Assert an arbitrary value to match *any* of the given conditions
      * and throw a detailed explanatory error message if the assertion fails.
@@ -199,10 +1013,84 @@ export declare class RuntimeTypeCheck {
      * The conditions are tested recursively through their
      * potential {@link Condition.conditions} field.
      *
+     * How the error is handled can be changed via {@link configure}.
+     * If it is not thrown, `false` is returned.
+     *
      * @param val The value to test.
      * @param descriptor The conditions to test the value against.
      */
     static assertAndThrow(val: any, ...descriptor: Descriptor): boolean;
+    /**
+     * Assert an arbitrary value to match *any* of the given conditions
+     * and return *every* failure instead of only the most relevant one.
+     *
+     * Failing inner values (like multiple bad items of an array, see
+     * {@link Condition.inner}) are reported individually, each with their
+     * path and their own expected and is message.
+     *
+     * @example
+     * ```js
+     * validate({ width: -3, height: 2.5 }, Cond.shape({
+     *   width: Cond.positive,
+     *   height: Cond.integer
+     * }));
+     * ```
+     * Returns:
+     * ```js
+     * {
+     *   ok: false,
+     *   errors: [
+     *     { path: [ 'width' ], expected: 'positive number', is: 'a negative number or 0', condition: Cond.positive },
+     *     { path: [ 'height' ], expected: 'integer', is: 'a floating point number', condition: Cond.integer },
+     *   ]
+     * }
+     * ```
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static validate(val: any, ...descriptor: Descriptor): ValidationResult;
+    /**
+     * Like {@link validate}, but throw a {@link TypeCheckAggregateError}
+     * containing a {@link TypeCheckError} for every failure, if there are any.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static validateAndThrow(val: any, ...descriptor: Descriptor): boolean;
+    /**
+     * Coerce an arbitrary value via the {@link Condition.coerce} steps of the
+     * given conditions and assert the result like {@link assertAndThrow}.
+     * This is useful for values that arrive as strings, like URL parameters,
+     * `dataset` attributes or environment variables.
+     *
+     * The value is coerced along the first condition list whose result
+     * matches. The passed value itself is never modified.
+     *
+     * @example
+     * ```js
+     * RuntimeTypeCheck.parse('3.5', Cond.number); // 3.5
+     * RuntimeTypeCheck.parse('true', Cond.boolean); // true
+     * RuntimeTypeCheck.parse('3.5', Cond.integer); // TypeCheckError: Expected integer, got a floating point number
+     * ```
+     *
+     * @param val The value to coerce and test.
+     * @param descriptor The conditions to coerce and test the value against.
+     * @return The coerced value.
+     */
+    static parse(val: any, ...descriptor: Descriptor): any;
+    /**
+     * Coerce an arbitrary value via the {@link Condition.coerce} steps of the
+     * given conditions without asserting it, see {@link parse}.
+     *
+     * If no condition list matches after coercion, the value coerced along
+     * the first condition list that changed it is returned.
+     *
+     * @param val The value to coerce.
+     * @param descriptor The conditions to coerce the value with.
+     * @return The coerced value.
+     */
+    static coerce(val: any, ...descriptor: Descriptor): any;
     /**
      * Assert an arbitrary value to match *any* of of the given conditions.
      *
@@ -213,6 +1101,240 @@ export declare class RuntimeTypeCheck {
      * @param descriptor The conditions to test the value against.
      */
     static assert(val: any, ...descriptor: Descriptor): boolean;
+    /**
+     * Like {@link assert}, but additionally support conditions whose
+     * assertion returns a promise (see {@link Condition.assert}).
+     *
+     * Every condition is evaluated as soon as its {@link Condition.conditions}
+     * have passed, so independent conditions (like the alternatives of a
+     * descriptor or the items of an array) are evaluated in parallel.
+     *
+     * @example
+     * ```js
+     * const uniqueName = {
+     *   conditions: [ Cond.string ],
+     *   assert: async name => !(await users.exists(name)),
+     *   shouldBe: { after: 'that is not taken' },
+     *   is: 'a name that is already taken'
+     * };
+     * await RuntimeTypeCheck.assertAsync('foo', [ Cond.nonempty, uniqueName ]);
+     * ```
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static assertAsync(val: any, ...descriptor: Descriptor): Promise<boolean>;
+    /**
+     * Like {@link assertAndThrow}, but additionally support asynchronous
+     * conditions, see {@link assertAsync}. The message is built exactly
+     * like the synchronous one, using the evaluated results.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static assertAndThrowAsync(val: any, ...descriptor: Descriptor): Promise<boolean>;
+    /**
+     * Check whether the given descriptor is well-formed, i.e. whether every
+     * condition (including the nested {@link Condition.conditions}) has the
+     * shape of a {@link Condition}, and throw a {@link ConditionDefinitionError}
+     * pointing to the malformed condition otherwise.
+     *
+     * This is done automatically by {@link assert} (and thus by every method
+     * asserting a value) as long as {@link checkDescriptors} is enabled.
+     *
+     * @example
+     * ```js
+     * checkDescriptor(Cond.string, [ Cond.positve, Cond.integer ]);
+     * ```
+     * Throws: "Invalid condition at descriptor[1][0]: Expected a condition object, got undefined."
+     *
+     * @param descriptor The descriptor to check.
+     */
+    static checkDescriptor(...descriptor: Descriptor): boolean;
+    /**
+     * Wrap a function such that its arguments (and optionally its return value)
+     * are asserted on every call via {@link assertAndThrow}. A failing assertion
+     * throws a {@link FunctionTypeCheckError} denoting the failing argument.
+     *
+     * The wrapped function retains `this`, so it can be used as a method.
+     * If the function returns a promise, its resolved value is asserted.
+     *
+     * @example
+     * ```js
+     * const createSlider = RuntimeTypeCheck.guard(function createSlider(node, options) {
+     *   // ...
+     * }, Cond.instanceOf(HTMLElement), Cond.shape({ range: Cond.array(Cond.number) }));
+     *
+     * createSlider(document.body, { range: 3 });
+     * ```
+     * Throws: "Argument 2 (\`options\`) of \`createSlider\`: Expected [...], got number at "range"".
+     *
+     * The return value is asserted if its descriptor is passed
+     * via {@link GuardOptions} after the descriptors of the arguments:
+     * ```js
+     * const double = RuntimeTypeCheck.guard(val => val * 2, Cond.number, { returns: Cond.integer });
+     * ```
+     *
+     * @param fn The function to guard.
+     * @param argDescriptors The descriptor of each argument, optionally followed
+     *                       by {@link GuardOptions}. As a shorthand, a single
+     *                       condition may be passed instead of a descriptor.
+     *                       Additional arguments are not asserted.
+     */
+    static guard<T extends (...args: any[]) => any>(fn: T, ...argDescriptors: Array<Descriptor | Condition> | [...Array<Descriptor | Condition>, GuardOptions]): T;
+    /**
+     * Compile the given descriptor into a standalone assertion function
+     * that is equivalent to, but faster than {@link assert}.
+     * Use this for descriptors that are asserted in hot paths.
+     *
+     * The condition graph (via {@link Condition.conditions}) is flattened
+     * once, such that conditions that are implied multiple times
+     * (e.g. {@link RuntimeTypeCheck.Cond.number} by both {@link RuntimeTypeCheck.Cond.positive} and
+     * {@link RuntimeTypeCheck.Cond.integer}) are only asserted once per condition list.
+     *
+     * Note that descriptors inside of other conditions (e.g. the inner
+     * descriptor of {@link RuntimeTypeCheck.Cond.array}) are not compiled.
+     * Like {@link assert}, the compiled function throws
+     * if a condition turns out to be asynchronous.
+     *
+     * @example
+     * ```js
+     * const assertPositiveInt = RuntimeTypeCheck.compile([ Cond.positive, Cond.integer ]);
+     * assertPositiveInt(3); // true
+     * assertPositiveInt.assertAndThrow(-3); // TypeCheckError
+     * ```
+     *
+     * @param descriptor The conditions to compile.
+     */
+    static compile(...descriptor: Descriptor): CompiledAssertion;
+    /**
+     * Convert the given conditions into a JSON Schema (draft 2020-12)
+     * by merging the {@link Condition.schema} of all conditions.
+     *
+     * Multiple condition lists become an `anyOf`, while the conditions of a
+     * condition list are merged into a single schema (or an `allOf` if their
+     * keywords conflict). The expected message of every condition list
+     * is used as its `description`.
+     *
+     * Conditions without a schema (like {@link RuntimeTypeCheck.Cond.instanceOf}
+     * or custom conditions that do not specify one) are left unconstrained
+     * and a warning is emitted. Since JSON Schema patterns do not support flags,
+     * regular expressions with flags are omitted as well.
+     *
+     * @example
+     * ```js
+     * RuntimeTypeCheck.toJSONSchema([ Cond.positive, Cond.integer ], Cond.keywords('auto'));
+     * ```
+     * Returns:
+     * ```js
+     * {
+     *   anyOf: [
+     *     { type: 'integer', exclusiveMinimum: 0, description: 'positive integer' },
+     *     { type: 'string', const: 'auto', description: 'the keyword "auto"' }
+     *   ]
+     * }
+     * ```
+     */
+    static toJSONSchema(...descriptor: Descriptor): JSONSchema;
+    /**
+     * Convert a JSON Schema (subset of draft 2020-12) into a descriptor
+     * made up of {@link RuntimeTypeCheck.Cond} conditions.
+     *
+     * Supported are the keywords `type`, `enum`, `const`, `minimum`, `maximum`,
+     * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `minLength`, `maxLength`,
+     * `pattern`, `format` (`uuid`, `email` and `uri`), `items`, `prefixItems`,
+     * `minItems`, `maxItems`, `properties`, `required`, `additionalProperties`,
+     * `anyOf`, `allOf` and local `$ref`s (like `#/$defs/Node`), as well as
+     * annotations like `title` or `description`, which are ignored.
+     * Any other keyword throws an error.
+     *
+     * Type specific keywords only apply to their type. If a schema does not
+     * specify a `type`, values of any other type than the ones implied by
+     * its keywords match as well, like `'foo'` for `{ minimum: 3 }`.
+     *
+     * @example
+     * ```js
+     * const descriptor = RuntimeTypeCheck.fromJSONSchema({
+     *   type: 'object',
+     *   properties: { step: { type: 'integer', minimum: 1 } },
+     *   required: [ 'step' ]
+     * });
+     * RuntimeTypeCheck.assertAndThrow({ step: 0 }, ...descriptor);
+     * ```
+     * Throws: "Expected object whose property "step" is an integer that is at least 1,
+     * got a number less than 1 at "step"".
+     *
+     * @param schema The JSON Schema to convert.
+     */
+    static fromJSONSchema(schema: JSONSchema | boolean): Descriptor;
+    /**
+     * Generate a (standard ECMAScript) decorator that asserts every value
+     * assigned to the decorated class member via {@link assertAndThrow}.
+     * A failing assertion throws a {@link PropertyTypeCheckError}.
+     *
+     * Supported are auto-accessors, setters and fields. Note that since
+     * the assignment of a field cannot be intercepted, only its initial
+     * value is asserted, so an auto-accessor should be preferred.
+     *
+     * @example
+     * ```js
+     * class Slider {
+     *   @RuntimeTypeCheck.typed(Cond.array(Cond.number))
+     *   accessor range = [ 0, 100 ];
+     * }
+     * new Slider().range = 3;
+     * ```
+     * Throws: "Slider#range: Expected Array<number>, got number".
+     *
+     * @param descriptor The conditions to test assigned values against.
+     */
+    static typed(...descriptor: Descriptor): (value: any, context: ClassMemberDecoratorContext) => any;
+    /**
+     * Generate a (standard ECMAScript) method decorator that asserts the
+     * arguments of every call of the decorated method, like {@link guard}.
+     *
+     * @example
+     * ```js
+     * class Slider {
+     *   @RuntimeTypeCheck.args(Cond.array(Cond.number))
+     *   setRange(range) { ... }
+     * }
+     * new Slider().setRange(3);
+     * ```
+     * Throws: "Argument 1 (\`range\`) of \`Slider#setRange\`: Expected Array<number>, got number".
+     *
+     * @param argDescriptors The descriptor of each argument. As a shorthand,
+     *                       a single condition may be passed instead of a descriptor.
+     */
+    static args(...argDescriptors: Array<Descriptor | Condition>): <T extends (...args: any[]) => any>(value: T, context: ClassMethodDecoratorContext) => T;
+    /**
+     * Return a proxy of the given object that asserts the object against the
+     * given descriptor on every mutation (assignment, property definition
+     * and deletion) *before* it is applied. A failing assertion throws a
+     * {@link TypeCheckError} whose path points to the mutated property.
+     *
+     * Nested plain objects and arrays are wrapped as well with the descriptor
+     * that their parent describes them with (see {@link Condition.inner}).
+     * The object itself is asserted immediately.
+     *
+     * @example
+     * ```js
+     * const options = RuntimeTypeCheck.checked({ display: { width: 3 } }, Cond.shape({
+     *   display: Cond.shape({ width: Cond.positive })
+     * }));
+     * options.display.width = -1;
+     * ```
+     * Throws: "Expected object whose property "width" is a positive number,
+     * got a negative number or 0 at "display.width"".
+     *
+     * @param obj The object to wrap.
+     * @param descriptor The conditions the object needs to match. As a shorthand,
+     *                   a single condition may be passed instead of a descriptor.
+     * @param strict Whether to reject the assignment of properties that are
+     *               not described by the descriptor (e.g. keys of a
+     *               {@link RuntimeTypeCheck.Cond.shape} that are not part of the shape).
+     */
+    static checked<T extends object>(obj: T, descriptor: Descriptor | Condition, strict?: boolean): T;
     /**
      * If a given arbitrary value does not assert *any* of the given
      * conditions, return the most relevant failing condition in the
@@ -252,6 +1374,25 @@ export declare class RuntimeTypeCheck {
      * @internal
      */
     static getMostRelevantFailingCondition(val: any, ...descriptor: Descriptor): Condition | undefined;
+    /**
+     * If a given arbitrary value does not assert *any* of the given
+     * conditions, return the keys leading to the inner value that is
+     * responsible for the failure, following the most relevant failing
+     * condition at every level (see {@link assertFind}).
+     *
+     * Inner values are resolved through the {@link Condition.inner}
+     * field of the failing conditions.
+     *
+     * @example
+     * ```js
+     * getFailingPath([ 'a', [ 'b', 3 ] ], Cond.array(Cond.string, Cond.array(Cond.string)));
+     * ```
+     * Returns `[ 1, 1 ]`.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static getFailingPath(val: any, ...descriptor: Descriptor): PropertyKey[];
     /**
      * Return the result of {@link getMessageIs} for the first
      * of the passed values that does not assert.
@@ -278,6 +1419,11 @@ export declare class RuntimeTypeCheck {
      *                   The first failed condition will produce the return value.
      */
     static getMessageIs(val: any, ...descriptor: Descriptor): string;
+    /**
+     * Like {@link getMessageIs}, but additionally support
+     * asynchronous conditions, see {@link assertAsync}.
+     */
+    static getMessageIsAsync(val: any, ...descriptor: Descriptor): Promise<string>;
     /**
      * Return a string denoting the expected type within the passed conditions.
      * The message is created by recursively merging all `shouldBe` fields.
@@ -291,7 +1437,7 @@ export declare class RuntimeTypeCheck {
     /**
      * Compile a single {@link MessagePartial} into a coherent sentence
      * of the form "[...before] [type] [...after]". A few linguistic
-     * transformations are made.
+     * transformations are made by the current locale, see {@link Locale.joinClauses}.
      *
      * @example
      * Input:
@@ -319,26 +1465,46 @@ export declare class RuntimeTypeCheck {
      * @internal
      */
     static mergeDescriptorMessages(...descriptor: Descriptor): MessagePartial[];
+    /**
+     * Clear the cache of generated messages.
+     * @see {@link cacheMessages}
+     */
+    static clearMessageCache(): void;
     /**
      * Get the matching indefinite article (a or an) for the passed string.
+     * Provided by the current locale, see {@link Locale.getArticle}.
      *
      * @remarks
-     * This method is by no means linguistically sound, it simply checks
-     * whether the first character of the passed string is a vowel.
+     * The English implementation is by no means linguistically sound, it simply
+     * checks whether the first character of the passed string is a vowel.
      */
-    static getArticle(value: string): "a" | "an";
+    static getArticle(value: string): Article;
     /**
      * Get a string list of all items of the passed string array
      * of the style "first, second, third or fourth".
+     * Provided by the current locale, see {@link Locale.enumerate}.
      *
      * @remarks
      * This is used within the {@link RuntimeTypeCheck.Cond.keywords} condition.
+     *
+     * @param quote Whether to wrap every item in double quotes.
+     */
+    static getPrettyEnumeratedList(list: string[], quote?: boolean): string;
+    /**
+     * Get a string representation of the passed path in
+     * property accessor notation, e.g. `[3].items[0]`.
+     *
+     * @see {@link TypeCheckError.path}
      */
-    static getPrettyEnumeratedList(list: string[]): string;
+    static getPrettyPath(path: PropertyKey[]): string;
     /**
      * Return the `typeof` of a value with the
      * additional types 'array', 'NaN' and 'null'.
+     *
+     * Objects that are not plain object literals are denoted by the name
+     * of their constructor, e.g. 'Date', 'Map', 'Uint8Array' or the name
+     * of a class, or 'anonymous object' if it has no name.
+     * Objects without a prototype are plain objects.
      */
     static getType(value: any): Type;
 }
-export {};
@@ -1,47 +1,119 @@
 'use strict';
 export class Cond {
-    static #conditionTypeof(type) {
-        return {
+    /** Descriptors of the conditions created by {@link optional}, see {@link tuple}. */
+    static #optionalDescriptors = new WeakMap();
+    /** Descriptors of the conditions created by {@link rest}, see {@link tuple}. */
+    static #restDescriptors = new WeakMap();
+    static #conditionTypeof(type, extension) {
+        return this.#localize('typeof', [type], {
+            code: type,
             assert: val => RuntimeTypeCheck.getType(val) === type,
-            shouldBe: { type: type },
-            is: ({ type }) => type
+            schema: ['string', 'number', 'boolean', 'null', 'array', 'object'].includes(type)
+                ? { type: type }
+                : undefined,
+            ...extension
+        });
+    }
+    static #coerceNumber(val) {
+        if (typeof val === 'string' && val.trim() !== '' && !Number.isNaN(Number(val))) {
+            return Number(val);
+        }
+        return val;
+    }
+    static #conditionFormat(key, regex, format) {
+        const condition = this.pattern(regex);
+        return {
+            code: key,
+            conditions: condition.conditions,
+            assert: condition.assert,
+            coerce: condition.coerce,
+            schema: format ? { ...condition.schema, format: format } : condition.schema,
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('pattern.shouldBe', RuntimeTypeCheck.getMessage(`${key}.description`));
+            },
+            is: data => RuntimeTypeCheck.getMessage(`${key}.is`, data),
         };
     }
     // ---- Types ----
     /** Assert a value to be of {@link Type}. */
-    static typeof = this.#conditionTypeof;
-    /** Assert a value to be a boolean. */
-    static boolean = this.#conditionTypeof('boolean');
+    static typeof = (type) => this.#conditionTypeof(type);
+    /**
+     * Assert a value to be a boolean.
+     * Coerces the strings "true" and "false".
+     */
+    static boolean = this.#conditionTypeof('boolean', {
+        coerce: val => val === 'true' ? true : val === 'false' ? false : val
+    });
     /** Assert a value to be a function. */
     static function = this.#conditionTypeof('function');
-    /** Assert a value to be a number. */
-    static number = this.#conditionTypeof('number');
+    /**
+     * Assert a value to be a number.
+     * Coerces numeric strings like "3.5".
+     */
+    static number = this.#conditionTypeof('number', {
+        coerce: this.#coerceNumber
+    });
     /** Assert a value to be a string. */
     static string = this.#conditionTypeof('string');
+    /**
+     * Assert a value to be a bigint.
+     * Coerces strings of whole numbers like "42".
+     */
+    static bigint = this.#conditionTypeof('bigint', {
+        coerce: val => typeof val === 'string' && /^\s*-?\d+\s*$/.test(val) ? BigInt(val) : val
+    });
+    /** Assert a value to be `null`. */
+    static null = this.#conditionTypeof('null');
+    /**
+     * Assert a value to be `undefined`.
+     * In a JSON Schema, it is represented by a schema that matches nothing.
+     */
+    static undefined = this.#conditionTypeof('undefined', {
+        schema: { not: {} }
+    });
+    /**
+     * Assert a value to be a number or a bigint.
+     * Base of the numeric comparison conditions.
+     */
+    static #numeric = this.#localize('numeric', [], {
+        assert: val => ['number', 'bigint'].includes(RuntimeTypeCheck.getType(val)),
+        coerce: this.#coerceNumber,
+        schema: { type: 'number' }
+    });
+    /**
+     * Like {@link #numeric}, but denoted as a bigint in messages.
+     * Base of the numeric comparison conditions with bigint boundaries.
+     */
+    static #numericBigint = this.#localize('numeric', ['bigint'], {
+        assert: val => ['number', 'bigint'].includes(RuntimeTypeCheck.getType(val)),
+        coerce: this.#coerceNumber,
+        schema: { type: 'integer' }
+    });
+    /** Get the base condition of a numeric comparison with the given boundaries. */
+    static #getNumeric(...boundaries) {
+        return boundaries.some(value => typeof value === 'bigint') ? this.#numericBigint : this.#numeric;
+    }
     /** Assert a value to be `true`. Implies {@link boolean}. */
-    static true = {
+    static true = this.#localize('true', [], {
         conditions: [this.boolean],
         assert: val => val === true,
-        shouldBe: { type: 'true' },
-        is: 'false',
-    };
+        schema: { const: true }
+    });
     /** Assert a value to be `false`. Implies {@link boolean}. */
-    static false = {
+    static false = this.#localize('false', [], {
         conditions: [this.boolean],
         assert: val => val === false,
-        shouldBe: { type: 'false' },
-        is: 'true',
-    };
+        schema: { const: false }
+    });
     /**
      * Assert a value to be an integer (only whole numbers).
      * Implies {@link number}.
      */
-    static integer = {
+    static integer = this.#localize('integer', [], {
         conditions: [this.number],
         assert: val => val % 1 === 0,
-        shouldBe: { type: 'integer' },
-        is: 'a floating point number'
-    };
+        schema: { type: 'integer' }
+    });
     /**
      * Generate a condition that asserts a value to be an array,
      * optionally with the given descriptor inside it.
@@ -49,168 +121,2877 @@ export class Cond {
      * This function itself is a condition without inner types,
      * so it can be used as `Cond.array` as an alias to `Cond.array()`.
      */
-    static array = ((...descriptor) => ({
-        conditions: [this.#conditionTypeof('array')],
-        assert: descriptor.length > 0
-            ? (val) => val.every(inner => RuntimeTypeCheck.assert(inner, ...descriptor))
-            : (val) => true,
-        shouldBe: descriptor.length > 0
-            ? { type: `Array<${RuntimeTypeCheck.getMessageExpected(...descriptor)}>` }
-            : { type: 'array' },
-        is: ({ val, type }) => {
-            if (type === 'array' && descriptor.length > 0) {
-                if (val.length === 0) {
-                    return 'an empty array';
+    static array = ((...descriptor) => {
+        this.#checkArgument('array', descriptor);
+        return {
+            code: 'array',
+            conditions: [this.#conditionTypeof('array')],
+            assert: descriptor.length > 0
+                ? (val) => val.every(inner => RuntimeTypeCheck.assert(inner, ...descriptor))
+                : (val) => true,
+            inner: descriptor.length > 0
+                ? (val) => val.map((item, i) => ({ key: i, val: item, descriptor }))
+                : undefined,
+            coerce: descriptor.length > 0
+                ? (val) => Array.isArray(val) ? val.map(item => RuntimeTypeCheck.coerce(item, ...descriptor)) : val
+                : undefined,
+            get schema() {
+                return descriptor.length > 0
+                    ? { items: RuntimeTypeCheck.toJSONSchema(...descriptor) }
+                    : {};
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('array.shouldBe', descriptor.length > 0 ? RuntimeTypeCheck.getMessageExpected(...descriptor) : undefined);
+            },
+            is: data => {
+                if (data.type === 'array' && descriptor.length > 0) {
+                    if (data.val.length === 0) {
+                        return RuntimeTypeCheck.getMessage('array.isEmpty');
+                    }
+                    else {
+                        return RuntimeTypeCheck.getMessage('array.isOf', RuntimeTypeCheck.getMessageIsIterated(data.val, ...descriptor));
+                    }
+                }
+                else
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+            }
+        };
+    });
+    /**
+     * Generate a condition that asserts a value to be an object literal,
+     * optionally with the given descriptor inside it.
+     *
+     * Instances of classes (including builtins like `Map` or `Date`)
+     * are not object literals, see {@link RuntimeTypeCheck.getType}.
+     *
+     * This function itself is a condition without inner types,
+     * so it can be used as `Cond.object` as an alias to `Cond.object()`.
+     *
+     * @param keyName A concise key description used when displaying the type: `Object<keyName, ...>`.
+     */
+    static object = ((keyName, ...descriptor) => {
+        if (keyName && typeof keyName !== 'string')
+            throw new Error(`\
+Condition 'object': When passing a descriptor, the first parameter \
+needs to be a key name, which is used for displaying the type: "Object<keyName, ...>".
+(If generic, just use "string")`);
+        this.#checkArgument('object', descriptor);
+        return {
+            code: 'object',
+            conditions: [this.#conditionTypeof('object')],
+            assert: descriptor.length > 0
+                ? (val) => Object.values(val).every(inner => RuntimeTypeCheck.assert(inner, ...descriptor))
+                : (val) => true,
+            inner: descriptor.length > 0
+                ? (val) => Object.entries(val).map(([key, item]) => ({ key, val: item, descriptor }))
+                : undefined,
+            coerce: descriptor.length > 0
+                ? (val) => RuntimeTypeCheck.getType(val) === 'object'
+                    ? Object.fromEntries(Object.entries(val).map(([key, item]) => [key, RuntimeTypeCheck.coerce(item, ...descriptor)]))
+                    : val
+                : undefined,
+            get schema() {
+                return descriptor.length > 0
+                    ? { additionalProperties: RuntimeTypeCheck.toJSONSchema(...descriptor) }
+                    : {};
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('object.shouldBe', keyName, descriptor.length > 0 ? RuntimeTypeCheck.getMessageExpected(...descriptor) : undefined);
+            },
+            is: data => {
+                if (data.type === 'object' && descriptor.length > 0) {
+                    if (data.val.length === 0) {
+                        return RuntimeTypeCheck.getMessage('object.isEmpty');
+                    }
+                    else {
+                        return RuntimeTypeCheck.getMessage('object.isOf', keyName, RuntimeTypeCheck.getMessageIsIterated(Object.values(data.val), ...descriptor));
+                    }
+                }
+                else
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+            }
+        };
+    });
+    /**
+     * Generate a condition that asserts a value to be a `Map`,
+     * optionally with the given descriptors for its keys and values.
+     *
+     * This function itself is a condition without inner types,
+     * so it can be used as `Cond.map` as an alias to `Cond.map()`.
+     *
+     * @param keyDescriptor The descriptor that every key needs to match.
+     * @param valueDescriptor The descriptor that every value needs to match.
+     */
+    static map = ((keyDescriptor, valueDescriptor) => {
+        if (keyDescriptor && !valueDescriptor)
+            throw new Error(`\
+Condition 'map': When passing a key descriptor, a value descriptor needs to be passed as well.`);
+        if (keyDescriptor || valueDescriptor) {
+            this.#checkArgument('map', keyDescriptor, [0]);
+            this.#checkArgument('map', valueDescriptor, [1]);
+        }
+        const keys = keyDescriptor && (Array.isArray(keyDescriptor) ? keyDescriptor : [keyDescriptor]);
+        const values = valueDescriptor && (Array.isArray(valueDescriptor) ? valueDescriptor : [valueDescriptor]);
+        const keyCondition = keys && this.#conditionKey(keys);
+        return {
+            code: 'map',
+            conditions: [this.instanceOf(Map)],
+            assert: keys && values
+                ? (val) => Array.from(val).every(([key, value]) => {
+                    return RuntimeTypeCheck.assert(key, ...keys) && RuntimeTypeCheck.assert(value, ...values);
+                })
+                : (val) => true,
+            inner: keys && values
+                ? (val) => Array.from(val, ([key, value]) => RuntimeTypeCheck.assert(key, ...keys)
+                    ? { key, val: value, descriptor: values }
+                    : { key, val: key, descriptor: [keyCondition] })
+                : undefined,
+            get shouldBe() {
+                return keys && values
+                    ? RuntimeTypeCheck.getMessage('map.shouldBe', RuntimeTypeCheck.getMessageExpected(...keys), RuntimeTypeCheck.getMessageExpected(...values))
+                    : RuntimeTypeCheck.getMessage('map.shouldBe');
+            },
+            is: data => {
+                if (data.val instanceof Map && keys && values) {
+                    const keyIs = RuntimeTypeCheck.getMessageIsIterated(Array.from(data.val.keys()), keyCondition);
+                    if (keyIs)
+                        return keyIs;
+                    const valueIs = RuntimeTypeCheck.getMessageIsIterated(Array.from(data.val.values()), ...values);
+                    return RuntimeTypeCheck.getMessage('map.isOf', RuntimeTypeCheck.getMessageExpected(...keys), valueIs);
+                }
+                else
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+            }
+        };
+    });
+    /**
+     * Generate a condition that asserts a value to be a `Set`,
+     * optionally with the given descriptor inside it.
+     *
+     * This function itself is a condition without inner types,
+     * so it can be used as `Cond.set` as an alias to `Cond.set()`.
+     */
+    static set = ((...descriptor) => {
+        this.#checkArgument('set', descriptor);
+        return {
+            code: 'set',
+            conditions: [this.instanceOf(Set)],
+            assert: descriptor.length > 0
+                ? (val) => Array.from(val).every(inner => RuntimeTypeCheck.assert(inner, ...descriptor))
+                : (val) => true,
+            inner: descriptor.length > 0
+                ? (val) => Array.from(val, (item, i) => ({ key: i, val: item, descriptor }))
+                : undefined,
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('set.shouldBe', descriptor.length > 0 ? RuntimeTypeCheck.getMessageExpected(...descriptor) : undefined);
+            },
+            is: data => {
+                if (data.val instanceof Set && descriptor.length > 0) {
+                    return RuntimeTypeCheck.getMessage('set.isOf', RuntimeTypeCheck.getMessageIsIterated(Array.from(data.val), ...descriptor));
+                }
+                else
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+            }
+        };
+    });
+    /**
+     * Generate a condition that asserts a value to be an object literal
+     * whose keys match the given key descriptor and whose property values
+     * match the given value descriptor. Implies {@link object}.
+     *
+     * @example
+     * ```js
+     * Cond.record(Cond.pattern(/^--/, 'a custom property'), Cond.string);
+     * ```
+     * Produces the message "Expected Object<string matching a custom property, string>, got [...]".
+     *
+     * @param keyDescriptor The conditions every key needs to match.
+     *                      A single condition may be passed instead of a descriptor.
+     * @param valueDescriptor The conditions every property value needs to match.
+     *                        A single condition may be passed instead of a descriptor.
+     */
+    static record(keyDescriptor, valueDescriptor) {
+        this.#checkArgument('record', keyDescriptor, [0]);
+        this.#checkArgument('record', valueDescriptor, [1]);
+        const keys = Array.isArray(keyDescriptor) ? keyDescriptor : [keyDescriptor];
+        const values = Array.isArray(valueDescriptor) ? valueDescriptor : [valueDescriptor];
+        const keyCondition = this.#conditionKey(keys);
+        return {
+            code: 'record',
+            conditions: [this.#conditionTypeof('object')],
+            assert: val => Object.entries(val).every(([key, value]) => {
+                return RuntimeTypeCheck.assert(key, ...keys) && RuntimeTypeCheck.assert(value, ...values);
+            }),
+            inner: val => Object.entries(val).map(([key, value]) => RuntimeTypeCheck.assert(key, ...keys)
+                ? { key, val: value, descriptor: values }
+                : { key, val: key, descriptor: [keyCondition] }),
+            coerce: val => RuntimeTypeCheck.getType(val) === 'object'
+                ? Object.fromEntries(Object.entries(val).map(([key, value]) => [key, RuntimeTypeCheck.coerce(value, ...values)]))
+                : val,
+            get schema() {
+                return {
+                    propertyNames: RuntimeTypeCheck.toJSONSchema(...keys),
+                    additionalProperties: RuntimeTypeCheck.toJSONSchema(...values),
+                };
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('object.shouldBe', RuntimeTypeCheck.getMessageExpected(...keys), RuntimeTypeCheck.getMessageExpected(...values));
+            },
+            is: data => {
+                if (data.type !== 'object')
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+                const keyIs = RuntimeTypeCheck.getMessageIsIterated(Object.keys(data.val), keyCondition);
+                if (keyIs)
+                    return keyIs;
+                const valueIs = RuntimeTypeCheck.getMessageIsIterated(Object.values(data.val), ...values);
+                return RuntimeTypeCheck.getMessage('object.isOf', RuntimeTypeCheck.getMessageExpected(...keys), valueIs);
+            }
+        };
+    }
+    // ---- Misc conditions ----
+    /**
+     * Assert a value to be positive.
+     * Implies {@link number}.
+     */
+    static positive = this.#localize('positive', [], {
+        conditions: [this.number],
+        assert: val => val > 0,
+        schema: { exclusiveMinimum: 0 }
+    });
+    /**
+     * Assert a value to be a non-empty string or a non-empty array.
+     * Implies {@link string} OR {@link array}.
+     */
+    static nonempty = this.#localize('nonempty', [], {
+        conditions: [this.array(), this.string],
+        assert: val => val.length > 0,
+        schema: { minLength: 1, minItems: 1 }
+    });
+    /**
+     * Assert a value to be not negative (0 or more).
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static nonnegative = this.#localize('nonnegative', [], {
+        conditions: [this.#numeric],
+        assert: val => val >= 0,
+        schema: { minimum: 0 }
+    });
+    /**
+     * Assert a value to be finite (not `Infinity` or `-Infinity`).
+     * Implies {@link number}.
+     */
+    static finite = this.#localize('finite', [], {
+        conditions: [this.number],
+        assert: val => Number.isFinite(val),
+        schema: {}
+    });
+    /**
+     * Assert a value to be a safe integer, that is, an integer that
+     * can be exactly represented as a number (see `Number.isSafeInteger`).
+     * Implies {@link integer}.
+     */
+    static safeInteger = this.#localize('safeInteger', [], {
+        conditions: [this.integer],
+        assert: val => Number.isSafeInteger(val),
+        schema: { minimum: Number.MIN_SAFE_INTEGER, maximum: Number.MAX_SAFE_INTEGER }
+    });
+    // ---- String formats ----
+    /** Assert a value to be a UUID (any version, case-insensitive). Implies {@link string}. */
+    static uuid = this.#conditionFormat('uuid', /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i, 'uuid');
+    /**
+     * Assert a value to be a plausible email address of the form `local@domain.tld`.
+     * Implies {@link string}.
+     */
+    static email = this.#conditionFormat('email', /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)+$/, 'email');
+    /**
+     * Assert a value to be an absolute URL with a scheme, e.g. `https://example.com`.
+     * Implies {@link string}.
+     */
+    static url = this.#conditionFormat('url', /^[a-z][a-z\d+.-]*:\/\/[^\s/?#]+[^\s]*$/i, 'uri');
+    /**
+     * Assert a value to be an ISO 8601 date (`YYYY-MM-DD`), optionally
+     * followed by a time and a timezone offset. Implies {@link string}.
+     */
+    static isoDate = this.#conditionFormat('isoDate', /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d)?)?$/);
+    /**
+     * Assert a value to be a hexadecimal CSS color with 3, 4, 6 or 8 digits
+     * prefixed by a `#`. Implies {@link string}.
+     */
+    static hexColor = this.#conditionFormat('hexColor', /^#([\da-f]{3,4}|[\da-f]{6}|[\da-f]{8})$/i);
+    /**
+     * Assert a value to be a valid (ASCII) JavaScript identifier.
+     * Implies {@link string}.
+     */
+    static identifier = this.#conditionFormat('identifier', /^[a-z_$][\w$]*$/i);
+    // ---- Condition generators ----
+    /**
+     * Generate a condition that asserts a value to be exactly one of the
+     * given values (compared via `Array.prototype.includes`).
+     *
+     * @example
+     * ```js
+     * Cond.literal(0, 42n, null);
+     * ```
+     * Produces the message "Expected one of the values 0, 42n or null, got [...]".
+     */
+    static literal(...values) {
+        const pretty = values.map(value => this.#prettifyValue(value));
+        return {
+            code: 'literal',
+            assert: val => values.includes(val),
+            schema: this.#getEnumSchema(values),
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('literal.shouldBe', pretty);
+            },
+            is: data => {
+                const isSameType = values.some(value => RuntimeTypeCheck.getType(value) === data.type);
+                return RuntimeTypeCheck.getMessage('literal.is', data, isSameType);
+            }
+        };
+    }
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor OR to be `null`.
+     *
+     * @example
+     * `Cond.nullable([ Cond.positive, Cond.integer ])` produces
+     * the message "Expected positive integer OR null, got [...]".
+     */
+    static nullable(...descriptor) {
+        return this.#conditionEither(descriptor, this.null);
+    }
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor OR to be `undefined`.
+     *
+     * Inside of a {@link shape}, this also allows the property to be missing,
+     * inside of a {@link tuple}, this marks an optional trailing element.
+     */
+    static optional(...descriptor) {
+        const condition = this.#conditionEither(descriptor, this.undefined);
+        this.#optionalDescriptors.set(condition, descriptor);
+        return condition;
+    }
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor OR to be `null` OR `undefined`.
+     */
+    static nullish(...descriptor) {
+        return this.#conditionEither(descriptor, this.null, this.undefined);
+    }
+    /**
+     * Generate a condition that asserts a value to be an instance
+     * of the given class (using `instanceof`).
+     *
+     * @example
+     * ```js
+     * Cond.instanceOf(HTMLElement);
+     * ```
+     * Produces the message "Expected HTMLElement, got [...]".
+     */
+    static instanceOf(Class) {
+        return this.#localize('instanceOf', [Class.name], {
+            assert: val => val instanceof Class
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be only the specified strings.
+     * Implies {@link string}.
+     */
+    static keywords(...keywords) {
+        return this.#localize('keywords', [keywords], {
+            conditions: [this.string],
+            assert: val => keywords.includes(val),
+            schema: this.#getEnumSchema(keywords)
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be of the given length.
+     * Implies {@link string} OR {@link array}.
+     */
+    static length(len) {
+        return this.#localize('length', [len], {
+            conditions: [this.array(), this.string],
+            assert: val => val.length === len,
+            schema: { minLength: len, maxLength: len, minItems: len, maxItems: len }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be of the given length or longer.
+     * Implies {@link string} OR {@link array}.
+     */
+    static minLength(len) {
+        return this.#localize('minLength', [len], {
+            conditions: [this.array(), this.string],
+            assert: val => val.length >= len,
+            schema: { minLength: len, minItems: len }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be of the given length or shorter.
+     * Implies {@link string} OR {@link array}.
+     */
+    static maxLength(len) {
+        return this.#localize('maxLength', [len], {
+            conditions: [this.array(), this.string],
+            assert: val => val.length <= len,
+            schema: { maxLength: len, maxItems: len }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be a string
+     * matching the given regular expression.
+     * Implies {@link string}.
+     *
+     * @example
+     * ```js
+     * Cond.pattern(/^[a-z-]+$/, 'a kebab-case word');
+     * ```
+     * Produces the message "string matching a kebab-case word".
+     *
+     * @param regex The regular expression to test the value against.
+     * @param description Description of the pattern used in the messages.
+     *                    Defaults to the regular expression itself.
+     */
+    static pattern(regex, description = regex.toString()) {
+        return this.#localize('pattern', [description], {
+            conditions: [this.string],
+            assert: val => val.search(regex) !== -1,
+            // JSON Schema patterns do not support flags
+            schema: regex.flags ? {} : { pattern: regex.source }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be greater than
+     * or equal to the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static min(value) {
+        return this.#localize('min', [value], {
+            conditions: [this.#getNumeric(value)],
+            assert: val => val >= value,
+            schema: { minimum: Number(value) }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be less than
+     * or equal to the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static max(value) {
+        return this.#localize('max', [value], {
+            conditions: [this.#getNumeric(value)],
+            assert: val => val <= value,
+            schema: { maximum: Number(value) }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be greater than the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static greaterThan(value) {
+        return this.#localize('greaterThan', [value], {
+            conditions: [this.#getNumeric(value)],
+            assert: val => val > value,
+            schema: { exclusiveMinimum: Number(value) }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be less than the given value.
+     * Implies {@link number} OR {@link bigint}.
+     */
+    static lessThan(value) {
+        return this.#localize('lessThan', [value], {
+            conditions: [this.#getNumeric(value)],
+            assert: val => val < value,
+            schema: { exclusiveMaximum: Number(value) }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be inside the given interval.
+     * Implies {@link number} OR {@link bigint}.
+     *
+     * @param min Lower interval boundary.
+     * @param max Upper interval boundary.
+     * @param minExclusive Whether the lower boundary is excluded from the interval.
+     * @param maxExclusive Whether the upper boundary is excluded from the interval.
+     */
+    static range(min, max, minExclusive = false, maxExclusive = false) {
+        const interval = `${minExclusive ? '(' : '['}${min}, ${max}${maxExclusive ? ')' : ']'}`;
+        return this.#localize('range', [interval], {
+            conditions: [this.#getNumeric(min, max)],
+            assert: val => (minExclusive ? val > min : val >= min) && (maxExclusive ? val < max : val <= max),
+            schema: {
+                [minExclusive ? 'exclusiveMinimum' : 'minimum']: Number(min),
+                [maxExclusive ? 'exclusiveMaximum' : 'maximum']: Number(max),
+            }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be a multiple of
+     * (divisible by) the given divisor.
+     * Implies {@link number} OR {@link bigint}.
+     *
+     * For fractional divisors, the quotient may deviate from a whole number by
+     * a tolerance of 1e-9 to account for floating point errors, so that e.g.
+     * `0.3` is a multiple of `0.1`.
+     */
+    static multipleOf(divisor) {
+        return this.#localize('multipleOf', [divisor], {
+            conditions: [this.#getNumeric(divisor)],
+            assert: val => {
+                if (typeof val === 'bigint' && (typeof divisor === 'bigint' || Number.isInteger(divisor))) {
+                    return val % BigInt(divisor) === 0n;
+                }
+                // The quotient is compared with a tolerance since floating point
+                // divisors are inexact (`0.3 % 0.1` is not 0)
+                const quotient = Number(val) / Number(divisor);
+                return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+            },
+            schema: { multipleOf: Number(divisor) }
+        });
+    }
+    /**
+     * Generate a condition that asserts a value to be an object literal
+     * whose properties match the respective descriptors of the given shape.
+     * Properties not contained in the shape are ignored, unless `strict` is set:
+     * Then, unknown properties are reported along with the most similar
+     * known key, which helps with typos ("did you mean "width"?"). An unknown
+     * property that is likely a typo of a missing property is reported first.
+     * Implies {@link object}.
+     *
+     * Note that, like {@link Condition.conditions}, every property descriptor
+     * is an OR list of AND lists, so an AND combination needs to be nested.
+     *
+     * @example
+     * ```js
+     * Cond.shape({
+     *   width: [[ Cond.positive, Cond.integer ]],
+     *   mode: Cond.keywords('horizontal', 'vertical')
+     * }, [ 'mode' ]);
+     * ```
+     *
+     * @param properties The descriptor of each property.
+     * @param optionalKeys Keys of properties that may be missing or `undefined`.
+     * @param strict Whether to reject properties that are not contained in the shape.
+     */
+    static shape(properties, optionalKeys = [], strict = false) {
+        for (const [key, descriptor] of Object.entries(properties)) {
+            this.#checkArgument('shape', descriptor, [key]);
+        }
+        const shape = Object.entries(properties).map(([key, descriptor]) => ({
+            key,
+            descriptor: Array.isArray(descriptor) ? descriptor : [descriptor],
+            optional: optionalKeys.includes(key),
+        }));
+        const assertProperty = (val, { key, descriptor, optional }) => {
+            return (optional && val[key] === undefined) || RuntimeTypeCheck.assert(val[key], ...descriptor);
+        };
+        const knownKeys = Object.keys(properties);
+        const getUnknownKeys = (val) => strict ? Object.keys(val).filter(key => !knownKeys.includes(key)) : [];
+        const getUnknownInner = (val, key) => ({
+            key,
+            val: val[key],
+            descriptor: [this.#conditionUnknownKey(key, knownKeys)],
+        });
+        const getInner = (val) => {
+            const unknownKeys = getUnknownKeys(val);
+            // Unknown keys that are likely typos of a missing property come first
+            // since their suggestion explains the missing property
+            const typos = unknownKeys.filter(key => {
+                const closest = this.#getClosestKey(key, knownKeys);
+                return closest !== undefined && !(closest in val);
+            });
+            return [
+                ...typos.map(key => getUnknownInner(val, key)),
+                ...shape
+                    .filter(({ key, optional }) => !optional || val[key] !== undefined)
+                    .map(({ key, descriptor }) => ({ key, val: val[key], descriptor })),
+                ...unknownKeys.filter(key => !typos.includes(key)).map(key => getUnknownInner(val, key)),
+            ];
+        };
+        return {
+            code: 'shape',
+            conditions: [this.#conditionTypeof('object')],
+            assert: val => shape.every(property => assertProperty(val, property)) && getUnknownKeys(val).length === 0,
+            inner: getInner,
+            coerce: val => {
+                if (RuntimeTypeCheck.getType(val) !== 'object')
+                    return val;
+                const result = { ...val };
+                for (const { key, descriptor } of shape) {
+                    const item = RuntimeTypeCheck.coerce(val[key], ...descriptor);
+                    if (item !== undefined || key in val) {
+                        result[key] = item;
+                    }
+                }
+                return result;
+            },
+            get schema() {
+                return {
+                    properties: Object.fromEntries(shape.map(({ key, descriptor }) => {
+                        return [key, RuntimeTypeCheck.toJSONSchema(...descriptor)];
+                    })),
+                    required: shape
+                        .filter(({ descriptor, optional }) => !optional && !RuntimeTypeCheck.assert(undefined, ...descriptor))
+                        .map(({ key }) => key),
+                    ...(strict ? { additionalProperties: false } : {}),
+                };
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('shape.shouldBe', shape.map(({ key, descriptor, optional }) => ({
+                    key,
+                    expected: RuntimeTypeCheck.getMessageExpected(...descriptor),
+                    optional,
+                })));
+            },
+            is: data => {
+                const { val, type } = data;
+                if (type !== 'object')
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+                const failing = getInner(val).find(inner => !RuntimeTypeCheck.assert(inner.val, ...inner.descriptor));
+                if (!(failing.key in val)) {
+                    return RuntimeTypeCheck.getMessage('shape.isMissing');
+                }
+                return RuntimeTypeCheck.getMessageIs(failing.val, ...failing.descriptor);
+            }
+        };
+    }
+    /**
+     * Generate a condition that asserts a value to be an array whose items
+     * match the given descriptors position by position (a tuple).
+     * Implies {@link array}.
+     *
+     * Trailing elements wrapped in {@link optional} may be missing or `undefined`.
+     * If the last element is wrapped in {@link rest}, all items after the
+     * other elements need to match its descriptor. Otherwise, no further
+     * items are allowed.
+     *
+     * Note that, like {@link Condition.conditions}, every element descriptor
+     * is an OR list of AND lists, so an AND combination needs to be nested.
+     *
+     * @example
+     * A tuple of two numbers and an optional string, followed by any amount
+     * of booleans: `[number, number, string?, ...Array<boolean>]`
+     * ```js
+     * Cond.tuple(Cond.number, Cond.number, Cond.optional(Cond.string), Cond.rest(Cond.boolean));
+     * ```
+     *
+     * @param elements The descriptor of each position.
+     *                 A single condition may be passed instead of a descriptor.
+     */
+    static tuple(...elements) {
+        elements.forEach((element, i) => this.#checkArgument('tuple', element, [i]));
+        /** Return the descriptor that the given marker wraps, if the element is one. */
+        const getMarked = (element, markers) => {
+            const descriptor = Array.isArray(element) ? element : [element];
+            return descriptor.length === 1 && !Array.isArray(descriptor[0]) ? markers.get(descriptor[0]) : undefined;
+        };
+        const restDescriptor = elements.length > 0 ? getMarked(elements[elements.length - 1], this.#restDescriptors) : undefined;
+        const positional = restDescriptor ? elements.slice(0, -1) : elements;
+        const optional = positional.map(element => getMarked(element, this.#optionalDescriptors));
+        const required = optional.includes(undefined) ? optional.lastIndexOf(undefined) + 1 : 0;
+        if (optional.slice(0, required).some(descriptor => descriptor)) {
+            throw new Error(`Condition 'tuple': Optional elements can only be followed by optional elements or a rest element.`);
+        }
+        if (positional.some(element => getMarked(element, this.#restDescriptors))) {
+            throw new Error(`Condition 'tuple': A rest element can only be the last element.`);
+        }
+        const descriptors = positional.map((element, i) => optional[i] ?? (Array.isArray(element) ? element : [element]));
+        const getInner = (val) => Array.from(val, (item, i) => ({
+            key: i,
+            val: item,
+            descriptor: descriptors[i] ?? restDescriptor
+        }))
+            .filter(({ key, val, descriptor }) => descriptor && (key < required || val !== undefined));
+        const hasValidLength = (val) => val.length >= required && (!!restDescriptor || val.length <= descriptors.length);
+        const getExpected = () => {
+            const expected = descriptors.map((descriptor, i) => {
+                return RuntimeTypeCheck.getMessageExpected(...descriptor) + (i >= required ? '?' : '');
+            });
+            if (restDescriptor) {
+                expected.push(`...Array<${RuntimeTypeCheck.getMessageExpected(...restDescriptor)}>`);
+            }
+            return expected;
+        };
+        return {
+            code: 'tuple',
+            conditions: [this.#conditionTypeof('array')],
+            assert: (val) => {
+                return hasValidLength(val)
+                    && getInner(val).every(inner => RuntimeTypeCheck.assert(inner.val, ...inner.descriptor));
+            },
+            inner: getInner,
+            coerce: val => {
+                if (!Array.isArray(val))
+                    return val;
+                return Array.from(val, (item, i) => {
+                    const descriptor = descriptors[i] ?? restDescriptor;
+                    return descriptor ? RuntimeTypeCheck.coerce(item, ...descriptor) : item;
+                });
+            },
+            get schema() {
+                return {
+                    prefixItems: descriptors.map(descriptor => RuntimeTypeCheck.toJSONSchema(...descriptor)),
+                    minItems: required,
+                    items: restDescriptor ? RuntimeTypeCheck.toJSONSchema(...restDescriptor) : false,
+                };
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('tuple.shouldBe', getExpected());
+            },
+            is: data => {
+                const { val, type } = data;
+                if (type !== 'array')
+                    return RuntimeTypeCheck.getMessage('typeof.is', data);
+                if (!hasValidLength(val)) {
+                    return RuntimeTypeCheck.getMessage('tuple.isLength', data);
+                }
+                const failing = getInner(val).find(inner => !RuntimeTypeCheck.assert(inner.val, ...inner.descriptor));
+                return RuntimeTypeCheck.getMessageIs(failing.val, ...failing.descriptor);
+            }
+        };
+    }
+    /**
+     * Generate a condition that asserts a value to be an array whose
+     * items all match the given descriptor, like {@link array}.
+     *
+     * As the last element of a {@link tuple}, it denotes the descriptor
+     * that all items after the other elements need to match.
+     */
+    static rest(...descriptor) {
+        const condition = this.array(...descriptor);
+        this.#restDescriptors.set(condition, descriptor);
+        return condition;
+    }
+    /**
+     * Generate a condition that asserts an object to match the descriptor
+     * of the branch that its discriminator property (tag) selects
+     * (a discriminated union). Implies {@link object}.
+     *
+     * Unlike an OR list of the branches, failures are only reported from
+     * the selected branch instead of the seemingly closest one, and an unknown
+     * tag is reported as such.
+     *
+     * @example
+     * ```js
+     * const shape = Cond.union('type', {
+     *   circle: Cond.shape({ r: Cond.positive }),
+     *   rect: Cond.shape({ w: Cond.positive, h: Cond.positive }),
+     * });
+     * ```
+     * The value `{ type: 'rect', w: 1, h: 0 }` produces the message "Expected object whose
+     * property "w" is a positive number and whose property "h" is a positive number, [...]",
+     * while `{ type: 'triangle' }` produces "[...], got unknown type "triangle", expected one of "circle" or "rect"".
+     *
+     * @param key The discriminator property.
+     * @param branches Map of each tag to the descriptor of its branch.
+     *                 A single condition may be passed instead of a descriptor.
+     */
+    static union(key, branches) {
+        for (const [tag, descriptor] of Object.entries(branches)) {
+            this.#checkArgument('union', descriptor, [tag]);
+        }
+        const descriptors = new Map(Object.entries(branches).map(([tag, descriptor]) => {
+            return [tag, Array.isArray(descriptor) ? descriptor : [descriptor]];
+        }));
+        const getBranch = (val) => descriptors.get(val[key]);
+        return {
+            code: 'union',
+            conditions: [this.#conditionTypeof('object')],
+            assert: val => {
+                const descriptor = getBranch(val);
+                return !!descriptor && RuntimeTypeCheck.assert(val, ...descriptor);
+            },
+            inner: val => {
+                const descriptor = getBranch(val);
+                return descriptor && RuntimeTypeCheck.assertFind(val, ...descriptor)?.inner?.(val) || [];
+            },
+            narrow: getBranch,
+            coerce: val => {
+                const descriptor = RuntimeTypeCheck.getType(val) === 'object' && getBranch(val);
+                return descriptor ? RuntimeTypeCheck.coerce(val, ...descriptor) : val;
+            },
+            get schema() {
+                return {
+                    anyOf: Array.from(descriptors, ([tag, descriptor]) => ({
+                        allOf: [
+                            { properties: { [key]: { const: tag } }, required: [key] },
+                            RuntimeTypeCheck.toJSONSchema(...descriptor),
+                        ]
+                    }))
+                };
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('union.shouldBe', key, Array.from(descriptors, ([tag, descriptor]) => ({
+                    tag: tag,
+                    expected: RuntimeTypeCheck.getMessageExpected(...descriptor),
+                })));
+            },
+            is: data => {
+                const descriptor = getBranch(data.val);
+                if (!descriptor) {
+                    return RuntimeTypeCheck.getMessage('union.isUnknown', data, key, this.#prettifyValue(data.val[key]), RuntimeTypeCheck.getPrettyEnumeratedList(Array.from(descriptors.keys())));
+                }
+                return RuntimeTypeCheck.getMessageIs(data.val, ...descriptor);
+            }
+        };
+    }
+    /**
+     * Generate a condition that asserts a value to match the descriptor
+     * returned by the given function, which is only called once needed.
+     * This allows a descriptor to reference itself, e.g. to describe
+     * tree-shaped data.
+     *
+     * In messages, the condition is referred to by the given name
+     * instead of the full descriptor.
+     *
+     * Cyclic values are supported: A value that is encountered again while
+     * it is still being asserted against the same condition is assumed to match.
+     *
+     * @example
+     * ```js
+     * const node = Cond.lazy('Node', () => nodeShape);
+     * const nodeShape = Cond.shape({
+     *   name: Cond.string,
+     *   children: Cond.array(node)
+     * });
+     * ```
+     * `nodeShape` produces the message "object whose property "name" is a string
+     * and whose property "children" is an Array<Node>".
+     *
+     * @param name Name of the descriptor used in messages.
+     * @param getDescriptor Function returning the descriptor to assert.
+     *                      A single condition may be returned instead of a descriptor.
+     */
+    static lazy(name, getDescriptor) {
+        let descriptor;
+        const visiting = new WeakSet();
+        const resolve = () => {
+            if (!descriptor) {
+                const result = getDescriptor();
+                this.#checkArgument('lazy', result);
+                descriptor = Array.isArray(result) ? result : [result];
+            }
+            return descriptor;
+        };
+        /** Call the callback unless the value is already being visited. */
+        const guard = (val, fallback, callback) => {
+            if (val === null || typeof val !== 'object' && typeof val !== 'function') {
+                return callback();
+            }
+            if (visiting.has(val))
+                return fallback;
+            visiting.add(val);
+            try {
+                return callback();
+            }
+            finally {
+                visiting.delete(val);
+            }
+        };
+        return {
+            code: 'lazy',
+            assert: val => guard(val, true, () => RuntimeTypeCheck.assert(val, ...resolve())),
+            inner: val => RuntimeTypeCheck.assertFind(val, ...resolve())?.inner?.(val) ?? [],
+            coerce: val => guard(val, val, () => RuntimeTypeCheck.coerce(val, ...resolve())),
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('lazy.shouldBe', name);
+            },
+            is: ({ val }) => guard(val, '', () => RuntimeTypeCheck.getMessageIs(val, ...resolve())),
+        };
+    }
+    /**
+     * Generate a condition that asserts a value to be a `Promise`
+     * whose resolved value matches the given descriptor.
+     * A rejected promise never matches.
+     *
+     * Since the promise needs to be awaited, the condition is asynchronous
+     * and can only be asserted via {@link RuntimeTypeCheck.assertAsync}
+     * and {@link RuntimeTypeCheck.assertAndThrowAsync}.
+     *
+     * @example
+     * ```js
+     * await RuntimeTypeCheck.assertAndThrowAsync(fetchUser(), Cond.promise(userShape));
+     * ```
+     * A promise resolving to `null` produces the message
+     * "Expected Promise<[...]>, got Promise<null>".
+     *
+     * @param descriptor The descriptor that the resolved value needs to match.
+     *                   May contain asynchronous conditions as well.
+     */
+    static promise(...descriptor) {
+        this.#checkArgument('promise', descriptor);
+        /** Result and message of each settled promise. */
+        const settled = new WeakMap();
+        const settle = (val) => {
+            if (!settled.has(val)) {
+                settled.set(val, val.then(async (value) => {
+                    const passing = await RuntimeTypeCheck.assertAsync(value, ...descriptor);
+                    return {
+                        passing,
+                        is: passing ? '' : RuntimeTypeCheck.getMessage('promise.isOf', await RuntimeTypeCheck.getMessageIsAsync(value, ...descriptor)),
+                    };
+                }, () => ({
+                    passing: false,
+                    is: RuntimeTypeCheck.getMessage('promise.isRejected'),
+                })));
+            }
+            return settled.get(val);
+        };
+        /** Messages of the settled promises, available once asserted. */
+        const messages = new WeakMap();
+        return {
+            code: 'promise',
+            conditions: [this.instanceOf(Promise)],
+            assert: async (val) => {
+                const { passing, is } = await settle(val);
+                messages.set(val, is);
+                return passing;
+            },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('promise.shouldBe', descriptor.length > 0 ? RuntimeTypeCheck.getMessageExpected(...descriptor) : undefined);
+            },
+            is: data => messages.get(data.val) || RuntimeTypeCheck.getMessage('typeof.is', data),
+        };
+    }
+    /**
+     * Generate a condition that asserts a value to match the given
+     * descriptor or to be `undefined`, like {@link optional}.
+     * When coercing (see {@link RuntimeTypeCheck.parse}), `undefined`
+     * is replaced with the given default value.
+     *
+     * @example
+     * ```js
+     * // { step: 1 }
+     * RuntimeTypeCheck.parse({}, Cond.shape({ step: Cond.withDefault(1, Cond.number) }));
+     * ```
+     *
+     * @param defaultValue The value that replaces a missing value.
+     * @param descriptor The descriptor that a present value needs to match.
+     *                   A single condition may be passed instead of a descriptor.
+     */
+    static withDefault(defaultValue, descriptor) {
+        return {
+            ...this.#conditionEither(Array.isArray(descriptor) ? descriptor : [descriptor], this.undefined),
+            coerce: val => val === undefined ? defaultValue : val,
+            schema: ['string', 'number', 'boolean', 'null', 'array', 'object'].includes(RuntimeTypeCheck.getType(defaultValue))
+                ? { default: defaultValue }
+                : {},
+        };
+    }
+    // ---- Internal helpers ----
+    /**
+     * Check a descriptor passed to a condition generator via
+     * {@link RuntimeTypeCheck.checkDescriptor}, such that a malformed condition
+     * is reported right away instead of failing once the messages are built.
+     * A single condition may be passed instead of a descriptor.
+     *
+     * @param position The position of the argument within the generator's arguments.
+     */
+    static #checkArgument(generator, argument, position = []) {
+        const isDescriptor = Array.isArray(argument);
+        // Empty descriptors are skipped since the base conditions are created
+        // before `RuntimeTypeCheck` is initialized
+        if (isDescriptor && argument.length === 0 || !RuntimeTypeCheck.checkDescriptors)
+            return;
+        try {
+            RuntimeTypeCheck.checkDescriptor(...(isDescriptor ? argument : [argument]));
+        }
+        catch (err) {
+            if (!(err instanceof ConditionDefinitionError))
+                throw err;
+            // A single condition is no descriptor, so its index is dropped
+            const innerPosition = isDescriptor ? err.position : err.position.slice(1);
+            throw new ConditionDefinitionError([...position, ...innerPosition], err.key, err.reason, generator);
+        }
+    }
+    /**
+     * Create a condition that asserts *any* of the given descriptor
+     * or the additional conditions. The condition itself always
+     * asserts, so only its conditions contribute to the messages.
+     */
+    static #conditionEither(descriptor, ...conditions) {
+        return {
+            conditions: [...descriptor, ...conditions],
+            assert: val => true,
+            schema: {},
+            shouldBe: {},
+            is: data => RuntimeTypeCheck.getMessage('typeof.is', data)
+        };
+    }
+    /**
+     * Get the schema (`const` or `enum`) for the given values
+     * or undefined if any of them cannot be represented in JSON.
+     */
+    static #getEnumSchema(values) {
+        const isRepresentable = values.every(value => {
+            return ['string', 'boolean', 'null'].includes(RuntimeTypeCheck.getType(value))
+                || Number.isFinite(value);
+        });
+        if (!isRepresentable)
+            return;
+        return values.length === 1 ? { const: values[0] } : { enum: values };
+    }
+    /**
+     * Create a condition asserting a key of a collection (like a map or a record)
+     * to match the given descriptor. It is used as the descriptor of a failing key
+     * in {@link Condition.inner}, such that the key is reported at its entry.
+     */
+    static #conditionKey(keys) {
+        return {
+            code: 'key',
+            assert: key => RuntimeTypeCheck.assert(key, ...keys),
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('key.shouldBe', RuntimeTypeCheck.getMessageExpected(...keys));
+            },
+            is: data => {
+                return RuntimeTypeCheck.getMessage('key.is', data, this.#prettifyValue(data.val), RuntimeTypeCheck.getMessageIs(data.val, ...keys));
+            }
+        };
+    }
+    /**
+     * Create a condition that never asserts, denoting a property of the
+     * given key that is not contained in the given known keys.
+     * Its message suggests the most similar known key, if any.
+     */
+    static #conditionUnknownKey(key, knownKeys) {
+        return this.#localize('unknownKey', [key, this.#getClosestKey(key, knownKeys)], {
+            assert: val => false,
+            schema: { not: {} },
+        });
+    }
+    /**
+     * Return the key with the smallest edit distance to the given key,
+     * if it is close enough to likely be a typo of it.
+     */
+    static #getClosestKey(key, keys) {
+        const maxDistance = Math.min(2, Math.floor(key.length / 2));
+        let closest;
+        let minDistance = Infinity;
+        for (const candidate of keys) {
+            const distance = this.#getEditDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance <= maxDistance && distance < minDistance) {
+                closest = candidate;
+                minDistance = distance;
+            }
+        }
+        return closest;
+    }
+    /**
+     * Return the amount of insertions, deletions, substitutions and
+     * transpositions of adjacent characters needed to turn `a` into `b`
+     * (optimal string alignment distance).
+     */
+    static #getEditDistance(a, b) {
+        const distances = Array.from({ length: a.length + 1 }, (_, i) => {
+            return Array.from({ length: b.length + 1 }, (_, j) => i === 0 ? j : j === 0 ? i : 0);
+        });
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return distances[a.length][b.length];
+    }
+    /** Stringify an arbitrary value for use in a message. */
+    static #prettifyValue(value) {
+        switch (typeof value) {
+            case 'string': return `"${value}"`;
+            case 'bigint': return `${value}n`;
+            case 'object':
+            case 'function':
+                return value === null ? 'null' : `<${RuntimeTypeCheck.getType(value)}>`;
+            default: return String(value);
+        }
+    }
+    /**
+     * Define the `shouldBe` and `is` fields of the given condition such that
+     * they are looked up in the current locale under the keys `<key>.shouldBe`
+     * and `<key>.is` on every access, see {@link RuntimeTypeCheck.getMessage}.
+     * Unless specified, the key also serves as the condition's {@link Condition.code}.
+     */
+    static #localize(key, args, condition) {
+        condition.code ??= key;
+        return Object.defineProperties(condition, {
+            shouldBe: {
+                get: () => RuntimeTypeCheck.getMessage(`${key}.shouldBe`, ...args),
+                enumerable: true,
+                configurable: true,
+            },
+            is: {
+                value: (data) => RuntimeTypeCheck.getMessage(`${key}.is`, data, ...args),
+                enumerable: true,
+                writable: true,
+                configurable: true,
+            },
+        });
+    }
+}
+// Making the generator functions themselves base conditions
+// (copying the descriptors to retain the localized getters)
+Object.defineProperties(Cond.array, Object.getOwnPropertyDescriptors(Cond.array()));
+Object.defineProperties(Cond.object, Object.getOwnPropertyDescriptors(Cond.object()));
+Object.defineProperties(Cond.map, Object.getOwnPropertyDescriptors(Cond.map()));
+Object.defineProperties(Cond.set, Object.getOwnPropertyDescriptors(Cond.set()));
+export class TypeCheckError extends Error {
+    expected;
+    is;
+    /**
+     * Keys leading from the asserted value to the failing inner value,
+     * e.g. `[ 3, 'items', 0 ]` for an item of an array inside an object
+     * inside an array. Empty if the asserted value itself failed.
+     *
+     * @see {@link RuntimeTypeCheck.getFailingPath}
+     */
+    path;
+    /**
+     * The most relevant failing condition of the value at {@link path}
+     * (see {@link RuntimeTypeCheck.assertFind}), if known.
+     */
+    condition;
+    /** The {@link Condition.code} of the failing {@link condition}, if any. */
+    code;
+    /** The offending value, i.e. the value at {@link path}. */
+    value;
+    /**
+     * Every expected alternative that makes up the {@link expected} message,
+     * see {@link RuntimeTypeCheck.mergeDescriptorMessages}.
+     */
+    alternatives;
+    constructor(expected, is, path = [], details = {}) {
+        super(RuntimeTypeCheck.locale.typeCheckError(expected, is, RuntimeTypeCheck.getPrettyPath(path)));
+        this.expected = expected;
+        this.is = is;
+        this.path = path;
+        this.condition = details.condition;
+        this.code = details.condition?.code;
+        this.value = details.value;
+        this.alternatives = details.alternatives ?? [];
+        this.name = this.constructor.name;
+    }
+    /**
+     * Return a plain object representing the error, suitable for
+     * `JSON.stringify` (e.g. to send it over the wire). Symbol keys
+     * of the path are stringified. The offending {@link value} is
+     * left out since it is not necessarily serializable.
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code ?? null,
+            message: this.message,
+            expected: this.expected,
+            is: this.is,
+            path: this.path.map(key => typeof key === 'symbol' ? String(key) : key),
+            alternatives: this.alternatives,
+        };
+    }
+}
+/**
+ * {@link TypeCheckError} of an argument or the return value of a
+ * function guarded by {@link RuntimeTypeCheck.guard}. Its message is
+ * prefixed with the failing argument and the function name.
+ */
+export class FunctionTypeCheckError extends TypeCheckError {
+    functionName;
+    /** Index of the failing argument, starting at 0. `-1` for the return value. */
+    argumentIndex;
+    /** Name of the failing parameter, if it could be determined. */
+    argumentName;
+    constructor(error, functionName, argumentIndex, argumentName) {
+        super(error.expected, error.is, error.path, error);
+        const fnName = functionName ? `\`${functionName}\`` : RuntimeTypeCheck.getMessage('functionTypeCheckError.anonymous');
+        const target = argumentIndex === -1
+            ? RuntimeTypeCheck.getMessage('functionTypeCheckError.returnValue')
+            : RuntimeTypeCheck.getMessage('functionTypeCheckError.argument', argumentIndex, argumentName);
+        this.message = RuntimeTypeCheck.getMessage('functionTypeCheckError', target, fnName, this.message);
+        this.functionName = functionName;
+        this.argumentIndex = argumentIndex;
+        this.argumentName = argumentName;
+    }
+}
+/**
+ * {@link TypeCheckError} of a value assigned to a class member decorated
+ * with {@link RuntimeTypeCheck.typed}. Its message is prefixed with the
+ * class and member name, e.g. `Slider#range`.
+ */
+export class PropertyTypeCheckError extends TypeCheckError {
+    className;
+    propertyName;
+    constructor(error, className, context) {
+        super(error.expected, error.is, error.path, error);
+        this.message = `${PropertyTypeCheckError.getMemberName(className, context)}: ${this.message}`;
+        this.className = className;
+        this.propertyName = context.name;
+    }
+    /**
+     * Get the name of a class member of the form `Class#member`
+     * or `Class.member` for static members.
+     *
+     * @internal
+     */
+    static getMemberName(className, context) {
+        const name = String(context.name);
+        if (context.static) {
+            return `${className}.${name}`;
+        }
+        return className + (context.private ? '' : '#') + name;
+    }
+}
+/**
+ * Error containing multiple {@link TypeCheckError}s.
+ * Thrown by {@link RuntimeTypeCheck.validateAndThrow}.
+ */
+export class TypeCheckAggregateError extends Error {
+    errors;
+    constructor(errors) {
+        super(RuntimeTypeCheck.getMessage('typeCheckAggregateError', errors.map(err => err.message)));
+        this.errors = errors;
+        this.name = this.constructor.name;
+    }
+    /** Like {@link TypeCheckError.toJSON}, containing every error. */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            errors: this.errors.map(err => err.toJSON()),
+        };
+    }
+}
+/**
+ * Error denoting a malformed condition inside of a descriptor.
+ * Thrown by {@link RuntimeTypeCheck.checkDescriptor} and by the
+ * condition generators of {@link Cond} when passed a malformed descriptor.
+ */
+export class ConditionDefinitionError extends Error {
+    /**
+     * Keys leading from the checked descriptor to the malformed condition,
+     * e.g. `[ 1, 0, 'conditions', 0 ]` for the first nested condition of
+     * the first condition of the second condition list.
+     * If thrown by a condition generator, the position starts at its arguments,
+     * e.g. `[ 'width', 0 ]` for a property of {@link Cond.shape}.
+     */
+    position;
+    /** The offending field of the condition, if the condition is an object. */
+    key;
+    /** Why the condition is malformed. */
+    reason;
+    /**
+     * @param generator Name of the condition generator whose
+     *                  arguments the position refers to, if any.
+     */
+    constructor(position, key, reason, generator) {
+        super((generator ? `Condition '${generator}': ` : '')
+            + `Invalid condition at ${RuntimeTypeCheck.getPrettyPath(['descriptor', ...position])}: ${reason}`);
+        this.position = position;
+        this.key = key;
+        this.reason = reason;
+        this.name = this.constructor.name;
+    }
+}
+/** The default locale. */
+const english = {
+    typeCheckError: (expected, is, path) => {
+        return `Expected ${expected}, got ${is}` + (path ? ` at "${path}"` : '');
+    },
+    joinAlternatives: alternatives => alternatives.join(' OR '),
+    joinClauses: clauses => {
+        let hadFirstThat = false;
+        return clauses
+            .sort(str => str.startsWith('that') ? 1 : -1)
+            .map(str => {
+            if (str.startsWith('that')) {
+                if (!hadFirstThat) {
+                    hadFirstThat = true;
+                }
+                else {
+                    return str.replace('that', 'and');
+                }
+            }
+            return str;
+        })
+            .join(' ');
+    },
+    getArticle: value => /^[aeiou]/i.test(value) && !/^(uni|uint|url|uri|us[aeiu]|uu)/i.test(value) ? 'an' : 'a',
+    prefixArticle: expected => {
+        if (/^(the |one of |true$|false$|null$|undefined$|NaN$)/.test(expected)) {
+            return expected;
+        }
+        return `${english.getArticle(expected)} ${expected}`;
+    },
+    enumerate: list => list.reduce((acc, word, i) => {
+        if (i !== 0 && i === list.length - 1) {
+            acc += ' or ';
+        }
+        else if (i !== 0) {
+            acc += ', ';
+        }
+        return acc + word;
+    }, ''),
+    messages: {
+        'typeof.shouldBe': (type) => ({ type }),
+        'typeof.is': ({ type }) => type,
+        'numeric.shouldBe': (type = 'number') => ({ type }),
+        'numeric.is': ({ type }) => type,
+        'true.shouldBe': { type: 'true' },
+        'true.is': 'false',
+        'false.shouldBe': { type: 'false' },
+        'false.is': 'true',
+        'integer.shouldBe': { type: 'integer' },
+        'integer.is': 'a floating point number',
+        'array.shouldBe': (expected) => ({ type: expected ? `Array<${expected}>` : 'array' }),
+        'array.isEmpty': 'an empty array',
+        'array.isOf': (is) => `Array<${is}>`,
+        'object.shouldBe': (keyName, expected) => {
+            return { type: expected ? `Object<${keyName}, ${expected}>` : 'object' };
+        },
+        'object.isEmpty': 'an empty object',
+        'object.isOf': (keyName, is) => `Object<${keyName}, ${is}>`,
+        'map.shouldBe': (keyExpected, valueExpected) => {
+            return { type: keyExpected ? `Map<${keyExpected}, ${valueExpected}>` : 'Map' };
+        },
+        'map.isOf': (keyPart, valuePart) => `Map<${keyPart}, ${valuePart}>`,
+        'set.shouldBe': (expected) => ({ type: expected ? `Set<${expected}>` : 'Set' }),
+        'set.isOf': (is) => `Set<${is}>`,
+        'promise.shouldBe': (expected) => ({ type: expected ? `Promise<${expected}>` : 'Promise' }),
+        'promise.isOf': (is) => `Promise<${is}>`,
+        'promise.isRejected': 'a rejected Promise',
+        'positive.shouldBe': { before: 'positive' },
+        'positive.is': 'a negative number or 0',
+        'nonempty.shouldBe': { before: 'non-empty' },
+        'nonempty.is': ({ type, article }) => `${article} empty ${type}`,
+        'nonnegative.shouldBe': { before: 'non-negative' },
+        'nonnegative.is': ({ type, article }) => `${article} negative ${type}`,
+        'finite.shouldBe': { before: 'finite' },
+        'finite.is': 'an infinite number',
+        'safeInteger.shouldBe': { before: 'safe' },
+        'safeInteger.is': 'an integer outside of the safe integer range',
+        'uuid.description': 'a UUID',
+        'uuid.is': 'a string that is not a valid UUID',
+        'email.description': 'an email address',
+        'email.is': 'a string that is not a valid email address',
+        'url.description': 'a URL',
+        'url.is': 'a string that is not a valid URL',
+        'isoDate.description': 'an ISO 8601 date',
+        'isoDate.is': 'a string that is not a valid ISO 8601 date',
+        'hexColor.description': 'a hex color',
+        'hexColor.is': 'a string that is not a valid hex color',
+        'identifier.description': 'an identifier',
+        'identifier.is': 'a string that is not a valid identifier',
+        'literal.shouldBe': (values) => ({
+            type: values.length > 1
+                ? `one of the values ${english.enumerate(values)}`
+                : `the value ${values[0]}`
+        }),
+        'literal.is': ({ type }, isSameType) => isSameType ? `a different ${type}` : type,
+        'instanceOf.shouldBe': (className) => ({ type: className || 'instance of an anonymous class' }),
+        'instanceOf.is': ({ type }) => type,
+        'keywords.shouldBe': (keywords) => ({
+            type: keywords.length > 1
+                ? `one of the keywords ${english.enumerate(keywords.map(keyword => `"${keyword}"`))}`
+                : `the keyword "${keywords[0]}"`
+        }),
+        'keywords.is': 'a different string',
+        'length.shouldBe': (len) => ({ after: `of length ${len}` }),
+        'length.is': ({ type, article }) => `${article} ${type} of a different length`,
+        'minLength.shouldBe': (len) => ({ after: `that has a length of at least ${len}` }),
+        'minLength.is': ({ val, type, article }) => `${article} ${type} of length ${val.length}`,
+        'maxLength.shouldBe': (len) => ({ after: `that has a length of at most ${len}` }),
+        'maxLength.is': ({ val, type, article }) => `${article} ${type} of length ${val.length}`,
+        'pattern.shouldBe': (description) => ({ after: `matching ${description}` }),
+        'pattern.is': (data, description) => `a string not matching ${description}`,
+        'min.shouldBe': (value) => ({ after: `that is at least ${value}` }),
+        'min.is': ({ type, article }, value) => `${article} ${type} less than ${value}`,
+        'max.shouldBe': (value) => ({ after: `that is at most ${value}` }),
+        'max.is': ({ type, article }, value) => `${article} ${type} greater than ${value}`,
+        'greaterThan.shouldBe': (value) => ({ after: `that is greater than ${value}` }),
+        'greaterThan.is': ({ type, article }, value) => {
+            return `${article} ${type} less than or equal to ${value}`;
+        },
+        'lessThan.shouldBe': (value) => ({ after: `that is less than ${value}` }),
+        'lessThan.is': ({ type, article }, value) => {
+            return `${article} ${type} greater than or equal to ${value}`;
+        },
+        'range.shouldBe': (interval) => ({ after: `of the interval ${interval}` }),
+        'range.is': ({ type, article }, interval) => `${article} ${type} outside of the interval ${interval}`,
+        'multipleOf.shouldBe': (divisor) => ({ after: `that is a multiple of ${divisor}` }),
+        'multipleOf.is': ({ type, article }, divisor) => {
+            return `${article} ${type} that is not a multiple of ${divisor}`;
+        },
+        'shape.shouldBe': (properties) => ({
+            after: properties
+                .map(({ key, expected, optional }) => {
+                return `whose ${optional ? 'optional ' : ''}property "${key}" is ${english.prefixArticle(expected)}`;
+            })
+                .join(' and ')
+        }),
+        'shape.isMissing': 'a missing property',
+        'unknownKey.shouldBe': { type: 'no property' },
+        'key.shouldBe': (expected) => ({ type: `key that is ${english.prefixArticle(expected)}` }),
+        'key.is': (data, key, is) => `an invalid key ${key} (${is})`,
+        'unknownKey.is': (data, key, suggestion) => {
+            return 'an unknown property' + (suggestion ? ` (did you mean "${suggestion}"?)` : '');
+        },
+        'tuple.shouldBe': (elements) => ({ type: `[${elements.join(', ')}]` }),
+        'tuple.isLength': ({ val, type, article }) => `${article} ${type} of length ${val.length}`,
+        'lazy.shouldBe': (name) => ({ type: name }),
+        'union.shouldBe': (key, branches) => ({
+            type: branches.map(({ tag, expected }) => `${expected} (${key} "${tag}")`).join(' OR '),
+        }),
+        'union.isUnknown': (data, key, tag, tags) => `unknown ${key} ${tag}, expected one of ${tags}`,
+        'checked.unknownProperty': 'an unknown property',
+        'typed.anonymousClass': 'anonymous class',
+        'typeCheckAggregateError': (messages) => {
+            return `Found ${messages.length} type error${messages.length > 1 ? 's' : ''}:\n`
+                + messages.map(message => `- ${message}`).join('\n');
+        },
+        'functionTypeCheckError': (target, functionName, message) => `${target} of ${functionName}: ${message}`,
+        'functionTypeCheckError.argument': (index, name) => `Argument ${index + 1}` + (name ? ` (\`${name}\`)` : ''),
+        'functionTypeCheckError.returnValue': 'Return value',
+        'functionTypeCheckError.anonymous': 'anonymous function',
+        'schema.any.shouldBe': { type: 'any value' },
+        'schema.any.is': 'undefined',
+        'schema.none.shouldBe': { type: 'no value' },
+        'schema.otherType.shouldBe': (types) => ({
+            type: `any value other than ${english.enumerate(types.map(type => `${english.getArticle(type)} ${type}`))}`
+        }),
+        'schema.additionalProperties.shouldBe': (expected) => ({
+            after: expected
+                ? `whose additional properties are of type ${expected}`
+                : 'without additional properties'
+        }),
+        'schema.additionalProperties.is': (data, key) => `an object with the additional property "${key}"`,
+    },
+};
+export class RuntimeTypeCheck {
+    static Cond = Cond;
+    static #defaultConfig = {
+        enabled: true,
+        mode: 'throw',
+    };
+    /** The instance whose configuration is used by the static methods. */
+    static #global = new RuntimeTypeCheck();
+    #config;
+    /**
+     * Create an instance with its own configuration (see {@link configure}),
+     * which is not affected by the global configuration. This is meant for
+     * libraries that should behave the same regardless of how the embedding
+     * application configures `RuntimeTypeCheck`.
+     *
+     * Instances provide the methods whose failures are handled according
+     * to the configuration; everything else is only available statically.
+     *
+     * @example
+     * ```js
+     * const typeCheck = new RuntimeTypeCheck({ mode: 'warn' });
+     * typeCheck.assertAndThrow(3, Cond.string); // Logs the TypeCheckError and returns false
+     * ```
+     *
+     * @param config Options that differ from the defaults
+     *               (`{ enabled: true, mode: 'throw' }`).
+     */
+    constructor(config = {}) {
+        this.#config = RuntimeTypeCheck.#mergeConfig(RuntimeTypeCheck.#defaultConfig, config);
+    }
+    // ---- Configuration ----
+    /**
+     * Configure how failing assertions are handled by the methods that would
+     * throw a {@link TypeCheckError}: {@link assertAndThrow}, {@link validateAndThrow},
+     * {@link parse}, {@link guard}, {@link checked}, the decorators and the
+     * `assertAndThrow` of compiled assertions. Unspecified options are left as is.
+     *
+     * This configures the static methods, i.e. it is global.
+     * Libraries should create their own instance instead, see {@link constructor}.
+     *
+     * @example
+     * ```js
+     * // Production: skip all checks
+     * RuntimeTypeCheck.configure({ enabled: false });
+     * // Report failures instead of throwing
+     * RuntimeTypeCheck.configure({ mode: 'silent', onFailure: err => report(err.toJSON()) });
+     * ```
+     */
+    static configure(config) {
+        this.#global.configure(config);
+    }
+    /** The global configuration, see {@link configure}. */
+    static get config() {
+        return this.#global.config;
+    }
+    /** Like {@link RuntimeTypeCheck.configure}, but for this instance only. */
+    configure(config) {
+        this.#config = RuntimeTypeCheck.#mergeConfig(this.#config, config);
+        return this;
+    }
+    /** The configuration of this instance. */
+    get config() {
+        return { ...this.#config };
+    }
+    static #mergeConfig(base, config) {
+        if (config.mode !== undefined && !['throw', 'warn', 'silent'].includes(config.mode)) {
+            throw new Error(`Unknown mode "${config.mode}". Expected one of "throw", "warn" or "silent".`);
+        }
+        return { ...base, ...config };
+    }
+    /**
+     * Handle the error of a failing assertion according to the configuration.
+     * @return `false`, unless the error is thrown.
+     */
+    #report(error) {
+        this.#config.onFailure?.(error);
+        if (this.#config.mode === 'throw') {
+            throw error;
+        }
+        if (this.#config.mode === 'warn') {
+            console.warn(error);
+        }
+        return false;
+    }
+    // ---- Instance methods ----
+    /** Like {@link RuntimeTypeCheck.assertAndThrow}, using the configuration of this instance. */
+    assertAndThrow(val, ...descriptor) {
+        if (!this.#config.enabled)
+            return true;
+        const error = RuntimeTypeCheck.#getTypeCheckError(val, descriptor);
+        return error ? this.#report(error) : true;
+    }
+    /** Like {@link RuntimeTypeCheck.validateAndThrow}, using the configuration of this instance. */
+    validateAndThrow(val, ...descriptor) {
+        if (!this.#config.enabled)
+            return true;
+        const errors = RuntimeTypeCheck.#getTypeCheckErrors(val, descriptor);
+        return errors.length > 0 ? this.#report(new TypeCheckAggregateError(errors)) : true;
+    }
+    /** Like {@link RuntimeTypeCheck.assertAndThrowAsync}, using the configuration of this instance. */
+    async assertAndThrowAsync(val, ...descriptor) {
+        if (!this.#config.enabled)
+            return true;
+        const results = await RuntimeTypeCheck.#resolveAsync(val, descriptor);
+        const error = RuntimeTypeCheck.#withAsyncResults(results, () => RuntimeTypeCheck.#getTypeCheckError(val, descriptor));
+        return error ? this.#report(error) : true;
+    }
+    /**
+     * Like {@link RuntimeTypeCheck.parse}, using the configuration of this instance.
+     * Values are still coerced if checks are disabled.
+     */
+    parse(val, ...descriptor) {
+        const result = RuntimeTypeCheck.coerce(val, ...descriptor);
+        this.assertAndThrow(result, ...descriptor);
+        return result;
+    }
+    /** Like {@link RuntimeTypeCheck.guard}, using the configuration of this instance. */
+    guard(fn, ...argDescriptors) {
+        const last = argDescriptors[argDescriptors.length - 1];
+        const options = last && !Array.isArray(last) && !('assert' in last) ? argDescriptors.pop() : {};
+        return RuntimeTypeCheck.#guard(this, fn, argDescriptors, options.returns, () => fn.name);
+    }
+    /** Like {@link RuntimeTypeCheck.compile}, using the configuration of this instance. */
+    compile(...descriptor) {
+        const compiled = RuntimeTypeCheck.#compile(descriptor);
+        compiled.assertAndThrow = val => !this.#config.enabled || compiled(val) || this.assertAndThrow(val, ...descriptor);
+        return compiled;
+    }
+    /** Like {@link RuntimeTypeCheck.typed}, using the configuration of this instance. */
+    typed(...descriptor) {
+        return RuntimeTypeCheck.#typed(this, descriptor);
+    }
+    /** Like {@link RuntimeTypeCheck.args}, using the configuration of this instance. */
+    args(...argDescriptors) {
+        return (value, context) => {
+            if (context.kind !== 'method') {
+                throw new Error(`Decorator 'args' cannot be applied to a ${context.kind}, only to a method.`);
+            }
+            return RuntimeTypeCheck.#guard(this, value, argDescriptors, undefined, thisArg => {
+                return PropertyTypeCheckError.getMemberName(RuntimeTypeCheck.#getClassName(thisArg, context), context);
+            });
+        };
+    }
+    /**
+     * Like {@link RuntimeTypeCheck.checked}, using the configuration of this instance.
+     * Mutations are applied if their failure is not thrown.
+     */
+    checked(obj, descriptor, strict = false) {
+        descriptor = Array.isArray(descriptor) ? descriptor : [descriptor];
+        this.assertAndThrow(obj, ...descriptor);
+        return RuntimeTypeCheck.#createCheckedProxy(this, obj, descriptor, [], strict, new WeakMap());
+    }
+    static #locales = new Map([['en', english]]);
+    static #localeName = 'en';
+    static #locale = english;
+    /** The current locale. See {@link setLocale}. */
+    static get locale() {
+        return this.#locale;
+    }
+    /**
+     * Register a locale pack under the given name, which can then be
+     * activated via {@link setLocale}. Helpers and messages that the pack
+     * does not specify fall back to English (the default locale "en").
+     *
+     * The messages of the builtin conditions are looked up by key
+     * (e.g. `positive.shouldBe` and `positive.is`), see {@link LocaleMessage}.
+     *
+     * @example
+     * ```js
+     * RuntimeTypeCheck.registerLocale('de', {
+     *   typeCheckError: (expected, is, path) => `Erwartet: ${expected}, erhalten: ${is}` + (path ? ` bei "${path}"` : ''),
+     *   joinAlternatives: alternatives => alternatives.join(' ODER '),
+     *   messages: {
+     *     'positive.shouldBe': { before: 'positive' },
+     *     'positive.is': 'eine negative Zahl oder 0',
+     *   }
+     * });
+     * RuntimeTypeCheck.setLocale('de');
+     * ```
+     */
+    static registerLocale(name, pack) {
+        this.#locales.set(name, {
+            ...english,
+            ...pack,
+            messages: { ...english.messages, ...pack.messages },
+        });
+        if (name === this.#localeName) {
+            this.setLocale(name);
+        }
+    }
+    /**
+     * Activate a locale that has been registered via {@link registerLocale}.
+     * @param name The name of the locale. English is available as "en".
+     */
+    static setLocale(name) {
+        const locale = this.#locales.get(name);
+        if (!locale) {
+            throw new Error(`Unknown locale "${name}". Register it via RuntimeTypeCheck.registerLocale first.`);
+        }
+        this.#localeName = name;
+        this.#locale = locale;
+        // Cached messages are in the previous language
+        this.clearMessageCache();
+    }
+    /**
+     * Get the message of the given key in the current locale.
+     * If the message is a function, it is called with the given arguments.
+     *
+     * Custom conditions can use this to be localized as well, given that
+     * their keys are part of the registered locale packs:
+     * ```js
+     * get shouldBe() { return RuntimeTypeCheck.getMessage('even.shouldBe') },
+     * is: data => RuntimeTypeCheck.getMessage('even.is', data),
+     * ```
+     */
+    static getMessage(key, ...args) {
+        const message = this.#locale.messages[key];
+        if (message === undefined) {
+            throw new Error(`Unknown message key "${key}" in locale "${this.#localeName}".`);
+        }
+        return typeof message === 'function' ? message(...args) : message;
+    }
+    static #schemaKeywords = [
+        'type', 'enum', 'const', '$ref', 'anyOf', 'allOf',
+        'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+        'minLength', 'maxLength', 'pattern', 'format',
+        'items', 'prefixItems', 'minItems', 'maxItems',
+        'properties', 'required', 'additionalProperties',
+        // Annotations
+        '$schema', '$id', '$comment', '$defs', 'definitions',
+        'title', 'description', 'default', 'examples', 'deprecated', 'readOnly', 'writeOnly',
+    ];
+    /** Keywords that imply a type when a schema does not specify one. */
+    static #schemaTypeKeywords = {
+        number: ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf'],
+        string: ['minLength', 'maxLength', 'pattern', 'format'],
+        array: ['items', 'prefixItems', 'minItems', 'maxItems'],
+        object: ['properties', 'required', 'additionalProperties'],
+    };
+    static #schemaFormats = {
+        uuid: Cond.uuid,
+        email: Cond.email,
+        uri: Cond.url,
+    };
+    /**
+     * Whether the messages generated by {@link mergeDescriptorMessages}
+     * (and thus {@link getMessageExpected}) are cached per condition list.
+     *
+     * The cache is keyed by the identity of the condition objects, so it
+     * should be disabled or cleared via {@link clearMessageCache} when
+     * conditions are mutated after their first use.
+     */
+    static cacheMessages = true;
+    static #messageCache = new WeakMap();
+    /**
+     * Amount of references (see {@link fromJSONSchema}) whose messages are currently
+     * being expanded. Within an expansion, a reference is only referred to by its
+     * name, so the messages depend on it and bypass the cache.
+     */
+    static #expandingReferences = 0;
+    /**
+     * Whether descriptors are checked for malformed conditions before
+     * being asserted, see {@link checkDescriptor}. Every condition is
+     * only checked once, but the check can be disabled in production
+     * to keep the hot path free of it.
+     */
+    static checkDescriptors = true;
+    static #checkedConditions = new WeakSet();
+    /** Results of the current asynchronous assertion, see {@link #withAsyncResults}. */
+    static #asyncResults;
+    /**
+     * Assert an arbitrary value to match *any* of the given conditions
+     * and throw a detailed explanatory error message if the assertion fails.
+     *
+     * The conditions are tested recursively through their
+     * potential {@link Condition.conditions} field.
+     *
+     * How the error is handled can be changed via {@link configure}.
+     * If it is not thrown, `false` is returned.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static assertAndThrow(val, ...descriptor) {
+        return this.#global.assertAndThrow(val, ...descriptor);
+    }
+    static #getTypeCheckError(val, descriptor) {
+        if (!this.assert(val, ...descriptor)) {
+            const { path, value, condition } = this.#getFailure(val, descriptor);
+            const expectedDescriptor = this.#narrowDescriptor(val, descriptor);
+            return new TypeCheckError(this.getMessageExpected(...expectedDescriptor), this.getMessageIs(val, ...descriptor), path, { condition, value, alternatives: this.mergeDescriptorMessages(...expectedDescriptor) });
+        }
+    }
+    /**
+     * Replace every condition of the descriptor that narrows down
+     * the value by the resulting descriptor, see {@link Condition.narrow}.
+     */
+    static #narrowDescriptor(val, descriptor) {
+        return descriptor.map(condList => {
+            return this.#resolveConditionList(condList).flatMap(cond => {
+                const narrowed = cond.narrow && (!cond.conditions || this.assert(val, ...cond.conditions))
+                    ? cond.narrow(val)
+                    : undefined;
+                if (!narrowed)
+                    return [cond];
+                return narrowed.length === 1
+                    ? this.#resolveConditionList(narrowed[0])
+                    : [this.#conditionDescriptor(narrowed)];
+            });
+        });
+    }
+    /**
+     * Assert an arbitrary value to match *any* of the given conditions
+     * and return *every* failure instead of only the most relevant one.
+     *
+     * Failing inner values (like multiple bad items of an array, see
+     * {@link Condition.inner}) are reported individually, each with their
+     * path and their own expected and is message.
+     *
+     * @example
+     * ```js
+     * validate({ width: -3, height: 2.5 }, Cond.shape({
+     *   width: Cond.positive,
+     *   height: Cond.integer
+     * }));
+     * ```
+     * Returns:
+     * ```js
+     * {
+     *   ok: false,
+     *   errors: [
+     *     { path: [ 'width' ], expected: 'positive number', is: 'a negative number or 0', condition: Cond.positive },
+     *     { path: [ 'height' ], expected: 'integer', is: 'a floating point number', condition: Cond.integer },
+     *   ]
+     * }
+     * ```
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static validate(val, ...descriptor) {
+        const failures = this.#collectFailures(val, descriptor, [], [], []);
+        return {
+            ok: failures.length === 0,
+            errors: failures.map(({ path, descriptor, is, condition }) => ({
+                path: path,
+                expected: this.getMessageExpected(...descriptor),
+                is: is,
+                condition: condition,
+            })),
+        };
+    }
+    /**
+     * Like {@link validate}, but throw a {@link TypeCheckAggregateError}
+     * containing a {@link TypeCheckError} for every failure, if there are any.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static validateAndThrow(val, ...descriptor) {
+        return this.#global.validateAndThrow(val, ...descriptor);
+    }
+    static #getTypeCheckErrors(val, descriptor) {
+        return this.#collectFailures(val, descriptor, [], [], [])
+            .map(({ path, value, descriptor, is, condition }) => new TypeCheckError(this.getMessageExpected(...descriptor), is, path, { condition, value, alternatives: this.mergeDescriptorMessages(...descriptor) }));
+    }
+    /**
+     * Collect every failing inner value along with its descriptor and its is message.
+     * @param isMissing Whether the value is a missing property of its parent object.
+     */
+    static #collectFailures(val, descriptor, path, ancestors, failures, isMissing = false) {
+        const condition = this.assertFind(val, ...descriptor);
+        if (!condition)
+            return failures;
+        const failingInner = condition.inner?.(val)
+            .filter(inner => !this.assert(inner.val, ...inner.descriptor)) ?? [];
+        if (failingInner.length > 0) {
+            // Failing ancestors (of cyclic values) are already being collected
+            for (const inner of failingInner.filter(inner => !ancestors.includes(inner.val))) {
+                const isMissing = this.getType(val) === 'object' && !(inner.key in val);
+                this.#collectFailures(inner.val, inner.descriptor, [...path, inner.key], [...ancestors, val], failures, isMissing);
+            }
+        }
+        else {
+            failures.push({
+                path: path,
+                value: val,
+                descriptor: descriptor,
+                // Like the `is` message of the parent shape
+                is: isMissing ? this.getMessage('shape.isMissing') : this.getMessageIs(val, ...descriptor),
+                condition: condition,
+            });
+        }
+        return failures;
+    }
+    /**
+     * Coerce an arbitrary value via the {@link Condition.coerce} steps of the
+     * given conditions and assert the result like {@link assertAndThrow}.
+     * This is useful for values that arrive as strings, like URL parameters,
+     * `dataset` attributes or environment variables.
+     *
+     * The value is coerced along the first condition list whose result
+     * matches. The passed value itself is never modified.
+     *
+     * @example
+     * ```js
+     * RuntimeTypeCheck.parse('3.5', Cond.number); // 3.5
+     * RuntimeTypeCheck.parse('true', Cond.boolean); // true
+     * RuntimeTypeCheck.parse('3.5', Cond.integer); // TypeCheckError: Expected integer, got a floating point number
+     * ```
+     *
+     * @param val The value to coerce and test.
+     * @param descriptor The conditions to coerce and test the value against.
+     * @return The coerced value.
+     */
+    static parse(val, ...descriptor) {
+        return this.#global.parse(val, ...descriptor);
+    }
+    /**
+     * Coerce an arbitrary value via the {@link Condition.coerce} steps of the
+     * given conditions without asserting it, see {@link parse}.
+     *
+     * If no condition list matches after coercion, the value coerced along
+     * the first condition list that changed it is returned.
+     *
+     * @param val The value to coerce.
+     * @param descriptor The conditions to coerce the value with.
+     * @return The coerced value.
+     */
+    static coerce(val, ...descriptor) {
+        if (this.checkDescriptors) {
+            this.checkDescriptor(...descriptor);
+        }
+        let fallback = val;
+        for (const condList of descriptor) {
+            const result = this.#coerceConditionList(val, this.#resolveConditionList(condList));
+            if (this.assert(result, condList)) {
+                return result;
+            }
+            if (fallback === val) {
+                fallback = result;
+            }
+        }
+        return fallback;
+    }
+    static #coerceConditionList(val, condList) {
+        for (const cond of condList) {
+            if (cond.conditions) {
+                val = this.coerce(val, ...cond.conditions);
+            }
+            if (cond.coerce) {
+                val = cond.coerce(val);
+            }
+        }
+        return val;
+    }
+    /**
+     * Assert an arbitrary value to match *any* of of the given conditions.
+     *
+     * The conditions are tested recursively through their
+     * potential {@link Condition.conditions} field.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static assert(val, ...descriptor) {
+        if (this.checkDescriptors) {
+            this.checkDescriptor(...descriptor);
+        }
+        return this.#assertDescriptor(val, descriptor);
+    }
+    /** {@link assert} without checking the (already checked) descriptor. */
+    static #assertDescriptor(val, descriptor) {
+        return descriptor.some(condList => {
+            condList = this.#resolveConditionList(condList);
+            for (const cond of condList) {
+                if (cond.conditions) {
+                    const res = this.#assertDescriptor(val, cond.conditions);
+                    if (!res)
+                        return res;
+                }
+            }
+            return condList.every(cond => this.#callAssert(cond, val));
+        });
+    }
+    /**
+     * Call the assertion of the given condition, or return its
+     * result if it has already been evaluated asynchronously.
+     */
+    static #callAssert(cond, val) {
+        return this.#ensureSync(this.#asyncResults?.get(cond)?.get(val)?.result ?? cond.assert(val));
+    }
+    /** Throw if the result of an assertion is a promise. */
+    static #ensureSync(result) {
+        if (result instanceof Promise) {
+            throw new Error('A condition returned a promise. Asynchronous conditions can only be asserted '
+                + 'via RuntimeTypeCheck.assertAsync or RuntimeTypeCheck.assertAndThrowAsync.');
+        }
+        return result;
+    }
+    // ---- Asynchronous assertion ----
+    /**
+     * Like {@link assert}, but additionally support conditions whose
+     * assertion returns a promise (see {@link Condition.assert}).
+     *
+     * Every condition is evaluated as soon as its {@link Condition.conditions}
+     * have passed, so independent conditions (like the alternatives of a
+     * descriptor or the items of an array) are evaluated in parallel.
+     *
+     * @example
+     * ```js
+     * const uniqueName = {
+     *   conditions: [ Cond.string ],
+     *   assert: async name => !(await users.exists(name)),
+     *   shouldBe: { after: 'that is not taken' },
+     *   is: 'a name that is already taken'
+     * };
+     * await RuntimeTypeCheck.assertAsync('foo', [ Cond.nonempty, uniqueName ]);
+     * ```
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static async assertAsync(val, ...descriptor) {
+        const results = await this.#resolveAsync(val, descriptor);
+        return this.#withAsyncResults(results, () => this.#assertDescriptor(val, descriptor));
+    }
+    /**
+     * Like {@link assertAndThrow}, but additionally support asynchronous
+     * conditions, see {@link assertAsync}. The message is built exactly
+     * like the synchronous one, using the evaluated results.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static assertAndThrowAsync(val, ...descriptor) {
+        return this.#global.assertAndThrowAsync(val, ...descriptor);
+    }
+    /** Evaluate every condition of the descriptor that is relevant for the value. */
+    static async #resolveAsync(val, descriptor) {
+        if (this.checkDescriptors) {
+            this.checkDescriptor(...descriptor);
+        }
+        const results = new Map();
+        await this.#resolveDescriptorAsync(val, descriptor, results, []);
+        return results;
+    }
+    static async #resolveDescriptorAsync(val, descriptor, results, ancestors) {
+        const passing = await Promise.all(descriptor.map(async (condList) => {
+            const conditions = this.#resolveConditionList(condList);
+            const passing = await Promise.all(conditions.map(cond => this.#resolveConditionAsync(val, cond, results, ancestors)));
+            return passing.every(Boolean);
+        }));
+        return passing.some(Boolean);
+    }
+    /**
+     * Evaluate the condition for the value once its conditions have passed
+     * (resolving `false` otherwise), after evaluating its inner values.
+     */
+    static #resolveConditionAsync(val, cond, results, ancestors) {
+        if (!results.has(cond)) {
+            results.set(cond, new Map());
+        }
+        const resultsByValue = results.get(cond);
+        if (!resultsByValue.has(val)) {
+            resultsByValue.set(val, {
+                promise: (async () => {
+                    if (cond.conditions && !await this.#resolveDescriptorAsync(val, cond.conditions, results, ancestors)) {
+                        return false;
+                    }
+                    const resolveInner = () => Promise.all((this.#withAsyncResults(results, () => cond.inner?.(val)) ?? [])
+                        // Ancestors are skipped to not run in circles on cyclic values
+                        .filter(inner => !ancestors.includes(inner.val))
+                        .map(inner => this.#resolveDescriptorAsync(inner.val, inner.descriptor, results, [...ancestors, val])));
+                    await resolveInner();
+                    const result = await this.#withAsyncResults(results, () => cond.assert(val));
+                    // Inner values may only be known after the assertion
+                    await resolveInner();
+                    return resultsByValue.get(val).result = result;
+                })()
+            });
+        }
+        return resultsByValue.get(val).promise;
+    }
+    /**
+     * Call the callback with the given results being used instead
+     * of calling the assertions of the respective conditions.
+     */
+    static #withAsyncResults(results, callback) {
+        const previous = this.#asyncResults;
+        this.#asyncResults = results;
+        try {
+            return callback();
+        }
+        finally {
+            this.#asyncResults = previous;
+        }
+    }
+    /**
+     * Check whether the given descriptor is well-formed, i.e. whether every
+     * condition (including the nested {@link Condition.conditions}) has the
+     * shape of a {@link Condition}, and throw a {@link ConditionDefinitionError}
+     * pointing to the malformed condition otherwise.
+     *
+     * This is done automatically by {@link assert} (and thus by every method
+     * asserting a value) as long as {@link checkDescriptors} is enabled.
+     *
+     * @example
+     * ```js
+     * checkDescriptor(Cond.string, [ Cond.positve, Cond.integer ]);
+     * ```
+     * Throws: "Invalid condition at descriptor[1][0]: Expected a condition object, got undefined."
+     *
+     * @param descriptor The descriptor to check.
+     */
+    static checkDescriptor(...descriptor) {
+        this.#checkDescriptor(descriptor, []);
+        return true;
+    }
+    /**
+     * @param isMessageOnly Whether the descriptor is only used to build messages
+     *                      (see {@link mergeDescriptorMessages}), so its conditions
+     *                      need no assertion. These conditions are not cached as checked.
+     */
+    static #checkDescriptor(descriptor, position, isMessageOnly = false) {
+        if (!Array.isArray(descriptor)) {
+            throw new ConditionDefinitionError(position, 'conditions', `Expected a descriptor (an array of conditions), got ${this.getType(descriptor)}.`);
+        }
+        for (let i = 0; i < descriptor.length; i++) {
+            const condList = descriptor[i];
+            if (Array.isArray(condList)) {
+                for (let j = 0; j < condList.length; j++) {
+                    // Checking the cache first to not create the position on the hot path
+                    if (!this.#checkedConditions.has(condList[j])) {
+                        this.#checkCondition(condList[j], [...position, i, j], isMessageOnly);
+                    }
+                }
+            }
+            else if (!this.#checkedConditions.has(condList)) {
+                this.#checkCondition(condList, [...position, i], isMessageOnly);
+            }
+        }
+    }
+    static #checkCondition(cond, position, isMessageOnly) {
+        if (cond === null || typeof cond !== 'object' && typeof cond !== 'function') {
+            throw new ConditionDefinitionError(position, undefined, `Expected a condition object, got ${this.getType(cond)}.`);
+        }
+        // Fields are read without invoking getters, since the getters of generated
+        // conditions (like their messages) evaluate their inner descriptors.
+        // A getter is trusted to return a well-formed value.
+        const check = (key, expected, isValid) => {
+            let property;
+            for (let obj = cond; obj !== null && !property; obj = Object.getPrototypeOf(obj)) {
+                property = Object.getOwnPropertyDescriptor(obj, key);
+            }
+            if (!property?.get && !isValid(property?.value)) {
+                throw new ConditionDefinitionError(position, key, `Its "${key}" field should be ${expected}, got ${this.getType(property?.value)}.`);
+            }
+        };
+        const isFunction = (value) => value === undefined || typeof value === 'function';
+        if (!isMessageOnly) {
+            check('assert', 'a function', value => typeof value === 'function');
+        }
+        // Missing messages are tolerated since they are only needed once an assertion fails
+        check('shouldBe', 'a message object ({ before?, type?, after? } of strings)', value => {
+            return value === undefined || this.getType(value) === 'object'
+                && ['before', 'type', 'after'].every(key => ['string', 'undefined'].includes(typeof value[key]));
+        });
+        check('is', 'a string or a function', value => typeof value === 'string' || isFunction(value));
+        for (const key of ['inner', 'coerce', 'narrow']) {
+            check(key, 'a function', isFunction);
+        }
+        check('code', 'a string', value => value === undefined || typeof value === 'string');
+        // The nested conditions are needed to assert anyway, so they may be read directly
+        if (cond.conditions !== undefined) {
+            this.#checkDescriptor(cond.conditions, [...position, 'conditions'], isMessageOnly);
+        }
+        if (!isMessageOnly) {
+            this.#checkedConditions.add(cond);
+        }
+    }
+    /**
+     * Wrap a function such that its arguments (and optionally its return value)
+     * are asserted on every call via {@link assertAndThrow}. A failing assertion
+     * throws a {@link FunctionTypeCheckError} denoting the failing argument.
+     *
+     * The wrapped function retains `this`, so it can be used as a method.
+     * If the function returns a promise, its resolved value is asserted.
+     *
+     * @example
+     * ```js
+     * const createSlider = RuntimeTypeCheck.guard(function createSlider(node, options) {
+     *   // ...
+     * }, Cond.instanceOf(HTMLElement), Cond.shape({ range: Cond.array(Cond.number) }));
+     *
+     * createSlider(document.body, { range: 3 });
+     * ```
+     * Throws: "Argument 2 (\`options\`) of \`createSlider\`: Expected [...], got number at "range"".
+     *
+     * The return value is asserted if its descriptor is passed
+     * via {@link GuardOptions} after the descriptors of the arguments:
+     * ```js
+     * const double = RuntimeTypeCheck.guard(val => val * 2, Cond.number, { returns: Cond.integer });
+     * ```
+     *
+     * @param fn The function to guard.
+     * @param argDescriptors The descriptor of each argument, optionally followed
+     *                       by {@link GuardOptions}. As a shorthand, a single
+     *                       condition may be passed instead of a descriptor.
+     *                       Additional arguments are not asserted.
+     */
+    static guard(fn, ...argDescriptors) {
+        return this.#global.guard(fn, ...argDescriptors);
+    }
+    /**
+     * @param checker The instance whose configuration handles failures.
+     * @param getFunctionName Return the function name used in the error
+     *                        message, given the `this` of the call.
+     */
+    static #guard(checker, fn, argDescriptors, returnDescriptor, getFunctionName) {
+        const parameterNames = this.#getParameterNames(fn);
+        const assertAndThrow = (thisArg, val, descriptor, argumentIndex) => {
+            if (!checker.#config.enabled)
+                return;
+            const error = this.#getTypeCheckError(val, Array.isArray(descriptor) ? descriptor : [descriptor]);
+            if (error) {
+                checker.#report(new FunctionTypeCheckError(error, getFunctionName(thisArg), argumentIndex, parameterNames[argumentIndex]));
+            }
+        };
+        const guarded = function (...args) {
+            argDescriptors.forEach((descriptor, i) => assertAndThrow(this, args[i], descriptor, i));
+            const result = fn.apply(this, args);
+            if (returnDescriptor) {
+                if (result instanceof Promise) {
+                    return result.then(val => {
+                        assertAndThrow(this, val, returnDescriptor, -1);
+                        return val;
+                    });
+                }
+                assertAndThrow(this, result, returnDescriptor, -1);
+            }
+            return result;
+        };
+        Object.defineProperty(guarded, 'name', { value: fn.name });
+        return guarded;
+    }
+    // ---- Compilation ----
+    /**
+     * Compile the given descriptor into a standalone assertion function
+     * that is equivalent to, but faster than {@link assert}.
+     * Use this for descriptors that are asserted in hot paths.
+     *
+     * The condition graph (via {@link Condition.conditions}) is flattened
+     * once, such that conditions that are implied multiple times
+     * (e.g. {@link RuntimeTypeCheck.Cond.number} by both {@link RuntimeTypeCheck.Cond.positive} and
+     * {@link RuntimeTypeCheck.Cond.integer}) are only asserted once per condition list.
+     *
+     * Note that descriptors inside of other conditions (e.g. the inner
+     * descriptor of {@link RuntimeTypeCheck.Cond.array}) are not compiled.
+     * Like {@link assert}, the compiled function throws
+     * if a condition turns out to be asynchronous.
+     *
+     * @example
+     * ```js
+     * const assertPositiveInt = RuntimeTypeCheck.compile([ Cond.positive, Cond.integer ]);
+     * assertPositiveInt(3); // true
+     * assertPositiveInt.assertAndThrow(-3); // TypeCheckError
+     * ```
+     *
+     * @param descriptor The conditions to compile.
+     */
+    static compile(...descriptor) {
+        return this.#global.compile(...descriptor);
+    }
+    /** Compile the descriptor, leaving out `assertAndThrow`. */
+    static #compile(descriptor) {
+        if (this.checkDescriptors) {
+            this.checkDescriptor(...descriptor);
+        }
+        const assert = this.#compileDescriptor(descriptor, new Map());
+        const compiled = ((val) => assert(val));
+        compiled.descriptor = descriptor;
+        return compiled;
+    }
+    /**
+     * @param cache Already compiled descriptors, keyed by identity,
+     *              so shared `conditions` are only compiled once.
+     */
+    static #compileDescriptor(descriptor, cache) {
+        let compiled = cache.get(descriptor);
+        if (!compiled) {
+            const alternatives = descriptor.map(condList => {
+                return this.#compileConditionList(this.#resolveConditionList(condList), cache);
+            });
+            compiled = alternatives.length === 1
+                ? alternatives[0]
+                : val => alternatives.some(assert => assert(val));
+            cache.set(descriptor, compiled);
+        }
+        return compiled;
+    }
+    /**
+     * Flatten the condition list into a list of assertion functions in the
+     * order of {@link assert}: The conditions of every condition in the list
+     * are asserted before any of their own assertions. Conditions that
+     * are implied by an AND path (a single condition list) are merged into
+     * the flat list and deduplicated, OR conditions are compiled separately.
+     */
+    static #compileConditionList(condList, cache) {
+        const asserts = [];
+        const visited = new Set();
+        const add = (condList) => {
+            for (const cond of condList) {
+                if (visited.has(cond) || !cond.conditions)
+                    continue;
+                if (cond.conditions.length === 1) {
+                    add(this.#resolveConditionList(cond.conditions[0]));
+                }
+                else {
+                    asserts.push(this.#compileDescriptor(cond.conditions, cache));
+                }
+            }
+            for (const cond of condList) {
+                if (visited.has(cond))
+                    continue;
+                visited.add(cond);
+                asserts.push(val => this.#ensureSync(cond.assert(val)));
+            }
+        };
+        add(condList);
+        return val => {
+            for (const assert of asserts) {
+                if (!assert(val))
+                    return false;
+            }
+            return true;
+        };
+    }
+    // ---- JSON Schema ----
+    /**
+     * Convert the given conditions into a JSON Schema (draft 2020-12)
+     * by merging the {@link Condition.schema} of all conditions.
+     *
+     * Multiple condition lists become an `anyOf`, while the conditions of a
+     * condition list are merged into a single schema (or an `allOf` if their
+     * keywords conflict). The expected message of every condition list
+     * is used as its `description`.
+     *
+     * Conditions without a schema (like {@link RuntimeTypeCheck.Cond.instanceOf}
+     * or custom conditions that do not specify one) are left unconstrained
+     * and a warning is emitted. Since JSON Schema patterns do not support flags,
+     * regular expressions with flags are omitted as well.
+     *
+     * @example
+     * ```js
+     * RuntimeTypeCheck.toJSONSchema([ Cond.positive, Cond.integer ], Cond.keywords('auto'));
+     * ```
+     * Returns:
+     * ```js
+     * {
+     *   anyOf: [
+     *     { type: 'integer', exclusiveMinimum: 0, description: 'positive integer' },
+     *     { type: 'string', const: 'auto', description: 'the keyword "auto"' }
+     *   ]
+     * }
+     * ```
+     */
+    static toJSONSchema(...descriptor) {
+        if (this.checkDescriptors) {
+            this.checkDescriptor(...descriptor);
+        }
+        return this.#getDescriptorSchema(descriptor, true);
+    }
+    static #getDescriptorSchema(descriptor, describe) {
+        const schemas = descriptor
+            .map(condList => {
+            const schema = this.#mergeSchemas(this.#resolveConditionList(condList).map(cond => this.#getConditionSchema(cond)));
+            return { condList, schema };
+        })
+            // Conditions that cannot match in JSON (like `Cond.undefined`) are omitted
+            .filter(({ schema }) => !isNever(schema))
+            .map(({ condList, schema }) => {
+            const description = describe && this.getMessageExpected(condList);
+            return description ? { ...schema, description } : schema;
+        });
+        if (schemas.length === 0) {
+            return { not: {} };
+        }
+        return schemas.length === 1 ? schemas[0] : { anyOf: schemas };
+        function isNever(schema) {
+            return Object.keys(schema).length === 1
+                && schema['not'] && Object.keys(schema['not']).length === 0;
+        }
+    }
+    static #getConditionSchema(cond) {
+        if (!cond.schema) {
+            console.warn(`RuntimeTypeCheck.toJSONSchema: The condition "${this.getMessageExpected(cond)}" `
+                + `does not specify a JSON Schema and is left unconstrained.`);
+        }
+        const parentSchema = cond.conditions ? this.#getDescriptorSchema(cond.conditions, false) : {};
+        return { ...parentSchema, ...cond.schema };
+    }
+    /**
+     * Merge the schemas of a condition list into a single schema.
+     * Schemas with conflicting keywords are combined via `allOf`.
+     */
+    static #mergeSchemas(schemas) {
+        const result = {};
+        const conflicting = [];
+        for (const schema of schemas) {
+            const hasConflict = Object.entries(schema).some(([key, value]) => {
+                return key in result
+                    && JSON.stringify(result[key]) !== JSON.stringify(value)
+                    && !(key === 'type' && isNumeric(result[key]) && isNumeric(value));
+            });
+            if (hasConflict) {
+                conflicting.push(schema);
+                continue;
+            }
+            for (const [key, value] of Object.entries(schema)) {
+                // An integer is more specific than a number
+                result[key] = key === 'type' && result['type'] === 'integer' ? 'integer' : value;
+            }
+        }
+        return conflicting.length > 0 ? { allOf: [result, ...conflicting] } : result;
+        function isNumeric(type) {
+            return type === 'number' || type === 'integer';
+        }
+    }
+    /**
+     * Convert a JSON Schema (subset of draft 2020-12) into a descriptor
+     * made up of {@link RuntimeTypeCheck.Cond} conditions.
+     *
+     * Supported are the keywords `type`, `enum`, `const`, `minimum`, `maximum`,
+     * `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`, `minLength`, `maxLength`,
+     * `pattern`, `format` (`uuid`, `email` and `uri`), `items`, `prefixItems`,
+     * `minItems`, `maxItems`, `properties`, `required`, `additionalProperties`,
+     * `anyOf`, `allOf` and local `$ref`s (like `#/$defs/Node`), as well as
+     * annotations like `title` or `description`, which are ignored.
+     * Any other keyword throws an error.
+     *
+     * Type specific keywords only apply to their type. If a schema does not
+     * specify a `type`, values of any other type than the ones implied by
+     * its keywords match as well, like `'foo'` for `{ minimum: 3 }`.
+     *
+     * @example
+     * ```js
+     * const descriptor = RuntimeTypeCheck.fromJSONSchema({
+     *   type: 'object',
+     *   properties: { step: { type: 'integer', minimum: 1 } },
+     *   required: [ 'step' ]
+     * });
+     * RuntimeTypeCheck.assertAndThrow({ step: 0 }, ...descriptor);
+     * ```
+     * Throws: "Expected object whose property "step" is an integer that is at least 1,
+     * got a number less than 1 at "step"".
+     *
+     * @param schema The JSON Schema to convert.
+     */
+    static fromJSONSchema(schema) {
+        return this.#schemaToDescriptor(schema, { root: schema, refs: new Map() }, '#');
+    }
+    static #schemaToDescriptor(schema, context, pointer) {
+        if (schema === true) {
+            return [{
+                    code: 'any',
+                    assert: val => val !== undefined,
+                    schema: {},
+                    get shouldBe() {
+                        return RuntimeTypeCheck.getMessage('schema.any.shouldBe');
+                    },
+                    is: data => this.getMessage('schema.any.is', data)
+                }];
+        }
+        if (schema === false) {
+            return [{
+                    code: 'none',
+                    assert: val => false,
+                    schema: { not: {} },
+                    get shouldBe() {
+                        return RuntimeTypeCheck.getMessage('schema.none.shouldBe');
+                    },
+                    is: data => this.getMessage('typeof.is', data)
+                }];
+        }
+        if (this.getType(schema) !== 'object') {
+            throw new Error(`fromJSONSchema: Expected a schema object or boolean at "${pointer}", got ${this.getType(schema)}.`);
+        }
+        const unsupported = Object.keys(schema).filter(key => !this.#schemaKeywords.includes(key));
+        if (unsupported.length > 0) {
+            throw new Error(`fromJSONSchema: Unsupported keyword${unsupported.length > 1 ? 's' : ''} `
+                + `${unsupported.map(key => `"${key}"`).join(', ')} at "${pointer}".`);
+        }
+        const { type, enum: values, const: constant, $ref, anyOf, allOf } = schema;
+        const conditions = [];
+        if (values !== undefined || constant !== undefined) {
+            conditions.push(this.#getSchemaLiteral(values ?? [constant], pointer));
+        }
+        if ($ref !== undefined) {
+            conditions.push(this.#getSchemaReference($ref, context, pointer));
+        }
+        if (allOf !== undefined) {
+            // A type that is required anyway narrows down the untyped subschemas
+            const allType = type ?? allOf.find((subschema) => {
+                return typeof subschema === 'object' && subschema['type'] !== undefined;
+            })?.type;
+            allOf.forEach((subschema, i) => {
+                if (allType !== undefined && typeof subschema === 'object' && subschema['type'] === undefined) {
+                    subschema = { ...subschema, type: allType };
+                }
+                const descriptor = this.#schemaToDescriptor(subschema, context, `${pointer}/allOf/${i}`);
+                if (descriptor.length === 1) {
+                    conditions.push(...this.#resolveConditionList(descriptor[0]));
+                }
+                else {
+                    conditions.push(this.#conditionDescriptor(descriptor));
+                }
+            });
+        }
+        if (anyOf !== undefined) {
+            conditions.push(this.#conditionDescriptor(anyOf.flatMap((subschema, i) => {
+                return this.#schemaToDescriptor(subschema, context, `${pointer}/anyOf/${i}`);
+            })));
+        }
+        const types = type !== undefined
+            ? [type].flat()
+            : Object.keys(this.#schemaTypeKeywords)
+                .filter(type => this.#schemaTypeKeywords[type].some(keyword => keyword in schema));
+        if (types.length === 0) {
+            return [conditions];
+        }
+        const descriptor = types.map(type => {
+            return [...conditions, ...this.#getSchemaTypeConditions(schema, type, context, pointer)];
+        });
+        // Type specific keywords do not constrain values of other types
+        if (type === undefined) {
+            descriptor.push([...conditions, this.#conditionOtherTypes(types)]);
+        }
+        return descriptor;
+    }
+    /** Get the conditions asserting the given type and its type specific keywords. */
+    static #getSchemaTypeConditions(schema, type, context, pointer) {
+        const { minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, minLength, maxLength, pattern, format, items, prefixItems, minItems, maxItems, properties, required, additionalProperties, } = schema;
+        const toDescriptor = (subschema, keyword) => {
+            return this.#schemaToDescriptor(subschema, context, `${pointer}/${keyword}`);
+        };
+        // Length conditions imply string OR array, so they are narrowed down to the type
+        const narrow = (condition, base) => ({ ...condition, conditions: [base] });
+        switch (type) {
+            case 'boolean': return [Cond.boolean];
+            case 'null': return [Cond.null];
+            case 'number':
+            case 'integer': {
+                const conditions = [type === 'integer' ? Cond.integer : Cond.number];
+                if (minimum !== undefined)
+                    conditions.push(Cond.min(minimum));
+                if (maximum !== undefined)
+                    conditions.push(Cond.max(maximum));
+                if (exclusiveMinimum !== undefined)
+                    conditions.push(Cond.greaterThan(exclusiveMinimum));
+                if (exclusiveMaximum !== undefined)
+                    conditions.push(Cond.lessThan(exclusiveMaximum));
+                if (multipleOf !== undefined)
+                    conditions.push(Cond.multipleOf(multipleOf));
+                return conditions;
+            }
+            case 'string': {
+                const conditions = [Cond.string];
+                if (minLength !== undefined)
+                    conditions.push(narrow(Cond.minLength(minLength), Cond.string));
+                if (maxLength !== undefined)
+                    conditions.push(narrow(Cond.maxLength(maxLength), Cond.string));
+                if (pattern !== undefined)
+                    conditions.push(Cond.pattern(new RegExp(pattern, 'u')));
+                if (format !== undefined) {
+                    if (!(format in this.#schemaFormats)) {
+                        throw new Error(`fromJSONSchema: Unsupported format "${format}" at "${pointer}". `
+                            + `Supported are ${Object.keys(this.#schemaFormats).map(format => `"${format}"`).join(', ')}.`);
+                    }
+                    conditions.push(this.#schemaFormats[format]);
+                }
+                return conditions;
+            }
+            case 'array': {
+                const conditions = [];
+                if (prefixItems !== undefined) {
+                    const elements = prefixItems.map((subschema, i) => toDescriptor(subschema, `prefixItems/${i}`));
+                    const rest = items === false ? undefined : toDescriptor(items ?? true, 'items');
+                    conditions.push(Cond.tuple(...elements.map((element, i) => i < (minItems ?? 0) ? element : Cond.optional(...element)), ...(rest ? [Cond.rest(...rest)] : [])));
                 }
                 else {
-                    return `Array<${RuntimeTypeCheck.getMessageIsIterated(val, ...descriptor)}>`;
+                    conditions.push(items !== undefined ? Cond.array(...toDescriptor(items, 'items')) : Cond.array);
+                }
+                // Up to the length of `prefixItems`, `minItems` is covered by the tuple
+                if (minItems !== undefined && minItems > (prefixItems?.length ?? 0)) {
+                    conditions.push(narrow(Cond.minLength(minItems), Cond.array));
+                }
+                if (maxItems !== undefined)
+                    conditions.push(narrow(Cond.maxLength(maxItems), Cond.array));
+                return conditions;
+            }
+            case 'object': {
+                const shape = {};
+                for (const [key, subschema] of Object.entries(properties ?? {})) {
+                    shape[key] = toDescriptor(subschema, `properties/${key}`);
                 }
+                for (const key of required ?? []) {
+                    shape[key] ??= toDescriptor(true, `required`);
+                }
+                const optionalKeys = Object.keys(shape).filter(key => !required?.includes(key));
+                const conditions = [Object.keys(shape).length > 0 ? Cond.shape(shape, optionalKeys) : Cond.object];
+                if (additionalProperties !== undefined) {
+                    conditions.push(this.#conditionAdditionalProperties(Object.keys(shape), additionalProperties === false ? false : toDescriptor(additionalProperties, 'additionalProperties')));
+                }
+                return conditions;
             }
-            else
-                return type;
+            default:
+                throw new Error(`fromJSONSchema: Unknown type "${type}" at "${pointer}".`);
+        }
+    }
+    static #getSchemaLiteral(values, pointer) {
+        if (values.every(value => typeof value === 'string')) {
+            return Cond.keywords(...values);
         }
-    }));
+        const complex = values.find(value => value !== null && typeof value === 'object');
+        if (complex !== undefined) {
+            throw new Error(`fromJSONSchema: Unsupported ${this.getType(complex)} value in "enum" or "const" at "${pointer}". `
+                + `Only primitive values are supported.`);
+        }
+        return Cond.literal(...values);
+    }
     /**
-     * Generate a condition that asserts a value to be an object literal,
-     * optionally with the given descriptor inside it.
-     *
-     * This function itself is a condition without inner types,
-     * so it can be used as `Cond.object` as an alias to `Cond.object()`.
-     *
-     * @param keyName A concise key description used when displaying the type: `Object<keyName, ...>`.
+     * Get a condition for the local reference, which is converted once.
+     * Recursive references are resolved lazily. In messages, the referenced
+     * schema is expanded, only recursive references are referred to by name.
      */
-    static object = ((keyName, ...descriptor) => {
-        if (keyName && typeof keyName !== 'string')
-            throw new Error(`\
-Condition 'object': When passing a descriptor, the first parameter \
-needs to be a key name, which is used for displaying the type: "Object<keyName, ...>".
-(If generic, just use "string")`);
-        return {
-            conditions: [this.#conditionTypeof('object')],
-            assert: descriptor.length > 0
-                ? (val) => Object.values(val).every(inner => RuntimeTypeCheck.assert(inner, ...descriptor))
-                : (val) => true,
-            shouldBe: descriptor.length > 0
-                ? { type: `Object<${keyName}, ${RuntimeTypeCheck.getMessageExpected(...descriptor)}>` }
-                : { type: 'object' },
-            is: ({ val, type }) => {
-                if (type === 'object' && descriptor.length > 0) {
-                    if (val.length === 0) {
-                        return 'an empty object';
+    static #getSchemaReference(ref, context, pointer) {
+        if (!context.refs.has(ref)) {
+            if (!ref.startsWith('#')) {
+                throw new Error(`fromJSONSchema: Unsupported non-local reference "${ref}" at "${pointer}".`);
+            }
+            const segments = ref.slice(1).split('/').slice(1)
+                .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+            let target = context.root;
+            for (const segment of segments) {
+                target = target?.[segment];
+            }
+            if (target === undefined) {
+                throw new Error(`fromJSONSchema: Cannot resolve reference "${ref}" at "${pointer}".`);
+            }
+            let descriptor;
+            let isExpanding = false;
+            const lazy = Cond.lazy(target.title ?? segments[segments.length - 1] ?? 'root schema', () => descriptor);
+            context.refs.set(ref, {
+                ...lazy,
+                get shouldBe() {
+                    if (isExpanding)
+                        return lazy.shouldBe;
+                    isExpanding = true;
+                    RuntimeTypeCheck.#expandingReferences++;
+                    try {
+                        return { type: RuntimeTypeCheck.getMessageExpected(...descriptor) };
                     }
-                    else {
-                        return `Object<${keyName}, ${RuntimeTypeCheck.getMessageIsIterated(Object.values(val), ...descriptor)}>`;
+                    finally {
+                        isExpanding = false;
+                        RuntimeTypeCheck.#expandingReferences--;
                     }
                 }
-                else
-                    return type;
-            }
-        };
-    });
-    // ---- Misc conditions ----
-    /**
-     * Assert a value to be positive.
-     * Implies {@link number}.
-     */
-    static positive = {
-        conditions: [this.number],
-        assert: val => val > 0,
-        shouldBe: { before: 'positive' },
-        is: 'a negative number or 0'
-    };
+            });
+            descriptor = this.#schemaToDescriptor(target, context, ref);
+        }
+        return context.refs.get(ref);
+    }
     /**
-     * Assert a value to be a non-empty string or a non-empty array.
-     * Implies {@link string} OR {@link array}.
+     * Create a condition asserting a value to be of none of the given
+     * JSON Schema types (where `number` includes integers).
      */
-    static nonempty = {
-        conditions: [this.array(), this.string],
-        assert: val => val.length > 0,
-        shouldBe: { before: 'non-empty' },
-        is: ({ type, article }) => `${article} empty ${type}`
-    };
-    // ---- Condition generators ----
+    static #conditionOtherTypes(types) {
+        return {
+            code: 'otherType',
+            assert: val => val !== undefined && !types.includes(this.getType(val)),
+            schema: { not: { type: types } },
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('schema.otherType.shouldBe', types);
+            },
+            is: data => this.getMessage('typeof.is', data)
+        };
+    }
     /**
-     * Generate a condition that asserts a value to be only the specified strings.
-     * Implies {@link string}.
+     * Create a condition asserting the properties of an object
+     * that are not contained in the given keys.
      */
-    static keywords(...keywords) {
+    static #conditionAdditionalProperties(keys, descriptor) {
+        const getAdditional = (val) => Object.keys(val).filter(key => !keys.includes(key));
+        if (!descriptor) {
+            return {
+                code: 'additionalProperties',
+                conditions: [Cond.object],
+                assert: val => getAdditional(val).length === 0,
+                get shouldBe() {
+                    return RuntimeTypeCheck.getMessage('schema.additionalProperties.shouldBe');
+                },
+                is: data => this.getMessage('schema.additionalProperties.is', data, getAdditional(data.val)[0])
+            };
+        }
         return {
-            conditions: [this.string],
-            assert: val => keywords.includes(val),
-            shouldBe: {
-                type: keywords.length > 1
-                    ? `one of the keywords ${RuntimeTypeCheck.getPrettyEnumeratedList(keywords)}`
-                    : `the keyword "${keywords[0]}"`
+            code: 'additionalProperties',
+            conditions: [Cond.object],
+            assert: val => getAdditional(val).every(key => this.assert(val[key], ...descriptor)),
+            inner: val => getAdditional(val).map(key => ({ key, val: val[key], descriptor })),
+            get shouldBe() {
+                return RuntimeTypeCheck.getMessage('schema.additionalProperties.shouldBe', RuntimeTypeCheck.getMessageExpected(...descriptor));
             },
-            is: 'a different string'
+            is: ({ val }) => {
+                const key = getAdditional(val).find(key => !this.assert(val[key], ...descriptor));
+                return this.getMessageIs(val[key], ...descriptor);
+            }
         };
     }
     /**
-     * Generate a condition that asserts a value to be of the given length.
-     * Implies {@link string} OR {@link array}.
+     * Create a condition that asserts *any* of the given descriptor.
+     * The condition itself always asserts, so it can be used to nest
+     * an OR list within a condition list.
      */
-    static length(len) {
+    static #conditionDescriptor(descriptor) {
         return {
-            conditions: [this.array(), this.string],
-            assert: val => val.length === len,
-            shouldBe: { after: `of length ${len}` },
-            is: ({ type, article }) => `${article} ${type} of a different length`
+            conditions: descriptor,
+            assert: val => true,
+            schema: {},
+            shouldBe: {},
+            is: ({ type }) => type
         };
     }
-}
-// Making the generator functions themselves base conditions
-Object.assign(Cond.array, Cond.array());
-Object.assign(Cond.object, Cond.object());
-export class TypeCheckError extends Error {
-    expected;
-    is;
-    constructor(expected, is) {
-        super(`Expected ${expected}, got ${is}`);
-        this.expected = expected;
-        this.is = is;
-        this.name = this.constructor.name;
+    // ---- Decorators ----
+    /**
+     * Generate a (standard ECMAScript) decorator that asserts every value
+     * assigned to the decorated class member via {@link assertAndThrow}.
+     * A failing assertion throws a {@link PropertyTypeCheckError}.
+     *
+     * Supported are auto-accessors, setters and fields. Note that since
+     * the assignment of a field cannot be intercepted, only its initial
+     * value is asserted, so an auto-accessor should be preferred.
+     *
+     * @example
+     * ```js
+     * class Slider {
+     *   @RuntimeTypeCheck.typed(Cond.array(Cond.number))
+     *   accessor range = [ 0, 100 ];
+     * }
+     * new Slider().range = 3;
+     * ```
+     * Throws: "Slider#range: Expected Array<number>, got number".
+     *
+     * @param descriptor The conditions to test assigned values against.
+     */
+    static typed(...descriptor) {
+        return this.#global.typed(...descriptor);
+    }
+    static #typed(checker, descriptor) {
+        const decorator = (value, context) => {
+            const assertAndThrow = (thisArg, val) => {
+                if (!checker.#config.enabled)
+                    return;
+                const error = this.#getTypeCheckError(val, descriptor);
+                if (error) {
+                    checker.#report(new PropertyTypeCheckError(error, this.#getClassName(thisArg, context), context));
+                }
+            };
+            switch (context.kind) {
+                case 'field':
+                    return function (initialValue) {
+                        assertAndThrow(this, initialValue);
+                        return initialValue;
+                    };
+                case 'accessor':
+                    return {
+                        init(initialValue) {
+                            assertAndThrow(this, initialValue);
+                            return initialValue;
+                        },
+                        set(val) {
+                            assertAndThrow(this, val);
+                            value.set.call(this, val);
+                        }
+                    };
+                case 'setter':
+                    return function (val) {
+                        assertAndThrow(this, val);
+                        value.call(this, val);
+                    };
+                default:
+                    throw new Error(`Decorator 'typed' cannot be applied to a ${context.kind}, only to an accessor, setter or field.`);
+            }
+        };
+        return decorator;
     }
-}
-export class RuntimeTypeCheck {
-    static Cond = Cond;
     /**
-     * Assert an arbitrary value to match *any* of the given conditions
-     * and throw a detailed explanatory error message if the assertion fails.
+     * Generate a (standard ECMAScript) method decorator that asserts the
+     * arguments of every call of the decorated method, like {@link guard}.
      *
-     * The conditions are tested recursively through their
-     * potential {@link Condition.conditions} field.
+     * @example
+     * ```js
+     * class Slider {
+     *   @RuntimeTypeCheck.args(Cond.array(Cond.number))
+     *   setRange(range) { ... }
+     * }
+     * new Slider().setRange(3);
+     * ```
+     * Throws: "Argument 1 (\`range\`) of \`Slider#setRange\`: Expected Array<number>, got number".
      *
-     * @param val The value to test.
-     * @param descriptor The conditions to test the value against.
+     * @param argDescriptors The descriptor of each argument. As a shorthand,
+     *                       a single condition may be passed instead of a descriptor.
      */
-    static assertAndThrow(val, ...descriptor) {
-        if (!this.assert(val, ...descriptor)) {
-            throw new TypeCheckError(this.getMessageExpected(...descriptor), this.getMessageIs(val, ...descriptor));
-        }
-        return true;
+    static args(...argDescriptors) {
+        return this.#global.args(...argDescriptors);
     }
+    // ---- Checked objects ----
     /**
-     * Assert an arbitrary value to match *any* of of the given conditions.
+     * Return a proxy of the given object that asserts the object against the
+     * given descriptor on every mutation (assignment, property definition
+     * and deletion) *before* it is applied. A failing assertion throws a
+     * {@link TypeCheckError} whose path points to the mutated property.
      *
-     * The conditions are tested recursively through their
-     * potential {@link Condition.conditions} field.
+     * Nested plain objects and arrays are wrapped as well with the descriptor
+     * that their parent describes them with (see {@link Condition.inner}).
+     * The object itself is asserted immediately.
      *
-     * @param val The value to test.
-     * @param descriptor The conditions to test the value against.
+     * @example
+     * ```js
+     * const options = RuntimeTypeCheck.checked({ display: { width: 3 } }, Cond.shape({
+     *   display: Cond.shape({ width: Cond.positive })
+     * }));
+     * options.display.width = -1;
+     * ```
+     * Throws: "Expected object whose property "width" is a positive number,
+     * got a negative number or 0 at "display.width"".
+     *
+     * @param obj The object to wrap.
+     * @param descriptor The conditions the object needs to match. As a shorthand,
+     *                   a single condition may be passed instead of a descriptor.
+     * @param strict Whether to reject the assignment of properties that are
+     *               not described by the descriptor (e.g. keys of a
+     *               {@link RuntimeTypeCheck.Cond.shape} that are not part of the shape).
      */
-    static assert(val, ...descriptor) {
-        return descriptor.some(condList => {
+    static checked(obj, descriptor, strict = false) {
+        return this.#global.checked(obj, descriptor, strict);
+    }
+    static #createCheckedProxy(checker, obj, descriptor, path, strict, proxies) {
+        if (proxies.has(obj))
+            return proxies.get(obj);
+        /** Assert the object as it would be after the given mutation. */
+        const assertMutation = (target, key, mutate) => {
+            if (!checker.#config.enabled)
+                return;
+            const copy = Array.isArray(target)
+                ? target.slice()
+                : Object.assign(Object.create(Object.getPrototypeOf(target)), target);
+            mutate(copy);
+            const error = this.#getTypeCheckError(copy, descriptor);
+            if (error) {
+                checker.#report(new TypeCheckError(error.expected, error.is, [...path, ...error.path], error));
+            }
+            else if (strict && !Array.isArray(target) && key in copy && !this.#getInnerDescriptor(copy, descriptor, key)) {
+                checker.#report(new TypeCheckError(this.getMessageExpected(...descriptor), this.getMessage('checked.unknownProperty'), [...path, key], {
+                    value: copy[key],
+                    alternatives: this.mergeDescriptorMessages(...descriptor),
+                }));
+            }
+        };
+        const proxy = new Proxy(obj, {
+            get: (target, key, receiver) => {
+                const val = Reflect.get(target, key, receiver);
+                if (['object', 'array'].includes(this.getType(val))) {
+                    const innerDescriptor = this.#getInnerDescriptor(target, descriptor, key);
+                    if (innerDescriptor) {
+                        return this.#createCheckedProxy(checker, val, innerDescriptor, [...path, key], strict, proxies);
+                    }
+                }
+                return val;
+            },
+            set: (target, key, val) => {
+                assertMutation(target, key, copy => copy[key] = val);
+                return Reflect.set(target, key, val);
+            },
+            defineProperty: (target, key, attributes) => {
+                if ('value' in attributes) {
+                    assertMutation(target, key, copy => copy[key] = attributes.value);
+                }
+                return Reflect.defineProperty(target, key, attributes);
+            },
+            deleteProperty: (target, key) => {
+                assertMutation(target, key, copy => delete copy[key]);
+                return Reflect.deleteProperty(target, key);
+            },
+        });
+        proxies.set(obj, proxy);
+        return proxy;
+    }
+    /**
+     * Return the descriptor of the inner value at the given key of a value
+     * (see {@link Condition.inner}) in the context of the first asserting
+     * condition list of the given descriptor, if any.
+     */
+    static #getInnerDescriptor(val, descriptor, key) {
+        for (let condList of descriptor) {
             condList = this.#resolveConditionList(condList);
+            if (!this.assert(val, condList))
+                continue;
             for (const cond of condList) {
-                // TODO check if cond is a Condition (check for object literal & presence of the properties)
-                if (cond.conditions) {
-                    const res = this.assert(val, ...cond.conditions);
-                    if (!res)
-                        return res;
-                }
+                const inner = cond.inner?.(val).find(inner => String(inner.key) === String(key));
+                if (inner)
+                    return inner.descriptor;
+                const innerDescriptor = cond.conditions && this.#getInnerDescriptor(val, cond.conditions, key);
+                if (innerDescriptor)
+                    return innerDescriptor;
             }
-            return condList.every(cond => cond.assert(val));
-        });
+        }
+    }
+    /**
+     * Return the name of the class of a decorated member, given the `this`
+     * of the member access (the class itself for static members).
+     */
+    static #getClassName(thisArg, context) {
+        return (context.static ? thisArg?.name : thisArg?.constructor?.name) || this.getMessage('typed.anonymousClass');
     }
     /**
      * If a given arbitrary value does not assert *any* of the given
@@ -283,7 +3064,7 @@ export class RuntimeTypeCheck {
                         result.count--;
                     }
                     if (!result.failing) {
-                        if (cond.assert(val)) {
+                        if (this.#callAssert(cond, val)) {
                             levelCount += 10;
                         }
                         else {
@@ -303,6 +3084,49 @@ export class RuntimeTypeCheck {
         }
         return max;
     }
+    /**
+     * If a given arbitrary value does not assert *any* of the given
+     * conditions, return the keys leading to the inner value that is
+     * responsible for the failure, following the most relevant failing
+     * condition at every level (see {@link assertFind}).
+     *
+     * Inner values are resolved through the {@link Condition.inner}
+     * field of the failing conditions.
+     *
+     * @example
+     * ```js
+     * getFailingPath([ 'a', [ 'b', 3 ] ], Cond.array(Cond.string, Cond.array(Cond.string)));
+     * ```
+     * Returns `[ 1, 1 ]`.
+     *
+     * @param val The value to test.
+     * @param descriptor The conditions to test the value against.
+     */
+    static getFailingPath(val, ...descriptor) {
+        return this.#getFailure(val, descriptor).path;
+    }
+    static #getFailure(val, descriptor) {
+        const path = [];
+        const ancestors = [];
+        let condition = this.assertFind(val, ...descriptor);
+        while (condition?.inner) {
+            ancestors.push(val);
+            // Ancestors are skipped to not run in circles on cyclic values
+            const failing = condition.inner(val).find(inner => {
+                return !ancestors.includes(inner.val) && !this.assert(inner.val, ...inner.descriptor);
+            });
+            if (!failing)
+                break;
+            path.push(failing.key);
+            val = failing.val;
+            condition = this.assertFind(val, ...failing.descriptor);
+        }
+        return {
+            path: path,
+            value: val,
+            condition: condition,
+        };
+    }
     // ---- "Is" message handling ----
     /**
      * Return the result of {@link getMessageIs} for the first
@@ -350,6 +3174,14 @@ export class RuntimeTypeCheck {
         }
         return '';
     }
+    /**
+     * Like {@link getMessageIs}, but additionally support
+     * asynchronous conditions, see {@link assertAsync}.
+     */
+    static async getMessageIsAsync(val, ...descriptor) {
+        const results = await this.#resolveAsync(val, descriptor);
+        return this.#withAsyncResults(results, () => this.getMessageIs(val, ...descriptor));
+    }
     // ---- "Expected" message handling ----
     /**
      * Return a string denoting the expected type within the passed conditions.
@@ -362,15 +3194,12 @@ export class RuntimeTypeCheck {
      */
     static getMessageExpected(...descriptor) {
         const messageList = this.mergeDescriptorMessages(...descriptor);
-        const output = messageList
-            .map(this.compilePartialMessage)
-            .join(' OR ');
-        return output;
+        return this.#locale.joinAlternatives(messageList.map(message => this.compilePartialMessage(message)));
     }
     /**
      * Compile a single {@link MessagePartial} into a coherent sentence
      * of the form "[...before] [type] [...after]". A few linguistic
-     * transformations are made.
+     * transformations are made by the current locale, see {@link Locale.joinClauses}.
      *
      * @example
      * Input:
@@ -396,23 +3225,8 @@ export class RuntimeTypeCheck {
         }
         output += (messagePartial.type ?? '<unknown>');
         if (messagePartial.after.length > 0) {
-            let hadFirstThat = false;
             output += ' ';
-            output += messagePartial.after
-                .map(str => str.trim())
-                .sort(str => str.startsWith('that') ? 1 : -1)
-                .map((str, i) => {
-                if (str.startsWith('that')) {
-                    if (!hadFirstThat) {
-                        hadFirstThat = true;
-                    }
-                    else {
-                        return str.replace('that', 'and');
-                    }
-                }
-                return str;
-            })
-                .join(' ');
+            output += this.#locale.joinClauses(messagePartial.after.map(str => str.trim()));
         }
         return output;
     }
@@ -427,6 +3241,9 @@ export class RuntimeTypeCheck {
      * @internal
      */
     static mergeDescriptorMessages(...descriptor) {
+        if (this.checkDescriptors) {
+            this.#checkDescriptor(descriptor, [], true);
+        }
         return this.#mergeDescriptorMessagesHelper(descriptor);
     }
     static #mergeDescriptorMessagesHelper(descriptor) {
@@ -438,37 +3255,8 @@ export class RuntimeTypeCheck {
                 }];
         }
         const messageList = [];
-        for (let condList of descriptor) {
-            condList = this.#resolveConditionList(condList);
-            if (condList.length === 0)
-                continue;
-            const currentMessage = makePartial(condList[0].shouldBe);
-            const results = [];
-            let hasDeepMessage = false;
-            for (let i = 1; i < condList.length; i++) {
-                const cond = condList[i];
-                mergeMessages(currentMessage, makePartial(cond.shouldBe));
-            }
-            for (const cond of condList) {
-                results.push(this.#mergeDescriptorMessagesHelper(cond.conditions));
-            }
-            for (const result of results) {
-                if (result.length === 1) {
-                    mergeMessages(currentMessage, result[0]);
-                }
-            }
-            for (const result of results) {
-                if (result.length > 1) {
-                    for (const message of result) {
-                        mergeMessages(message, currentMessage);
-                        messageList.push(message);
-                    }
-                    hasDeepMessage = true;
-                }
-            }
-            if (!hasDeepMessage) {
-                messageList.push(currentMessage);
-            }
+        for (const condList of descriptor) {
+            messageList.push(...this.#mergeConditionListMessages(this.#resolveConditionList(condList)));
         }
         // Return result without duplicates
         return messageList.filter((message, i, arr) => {
@@ -479,6 +3267,67 @@ export class RuntimeTypeCheck {
             }
             return true;
         });
+        function messageIsEqual(part1, part2) {
+            return arrayIsEqual(part1.before, part2.before)
+                && arrayIsEqual(part1.after, part2.after)
+                && part1.type === part2.type;
+        }
+        function arrayIsEqual(val1, val2) {
+            return val1.length === val2.length && val1.every((val, i) => val2[i] === val);
+        }
+    }
+    /** Merge the messages of a single condition list, utilizing the cache. */
+    static #mergeConditionListMessages(condList) {
+        if (condList.length === 0)
+            return [];
+        if (!this.cacheMessages || this.#expandingReferences > 0) {
+            return this.#mergeConditionListMessagesHelper(condList);
+        }
+        let node;
+        let cache = this.#messageCache;
+        for (const cond of condList) {
+            if (!cache.has(cond)) {
+                cache.set(cond, { next: new WeakMap() });
+            }
+            node = cache.get(cond);
+            cache = node.next;
+        }
+        node.messages ??= this.#mergeConditionListMessagesHelper(condList);
+        // Copy since the merge process mutates the resulting partials
+        return node.messages.map(message => ({
+            before: [...message.before],
+            type: message.type,
+            after: [...message.after],
+        }));
+    }
+    static #mergeConditionListMessagesHelper(condList) {
+        const messageList = [];
+        const currentMessage = makePartial(condList[0].shouldBe);
+        const results = [];
+        for (let i = 1; i < condList.length; i++) {
+            const cond = condList[i];
+            mergeMessages(currentMessage, makePartial(cond.shouldBe));
+        }
+        for (const cond of condList) {
+            results.push(this.#mergeDescriptorMessagesHelper(cond.conditions));
+        }
+        for (const result of results) {
+            if (result.length === 1) {
+                mergeMessages(currentMessage, result[0]);
+            }
+        }
+        for (const result of results) {
+            if (result.length > 1) {
+                for (const message of result) {
+                    mergeMessages(message, currentMessage);
+                    messageList.push(message);
+                }
+            }
+        }
+        if (messageList.length === 0) {
+            messageList.push(currentMessage);
+        }
+        return messageList;
         function makePartial(message) {
             return {
                 before: message?.before ? [message.before] : [],
@@ -494,47 +3343,74 @@ export class RuntimeTypeCheck {
             if (!target.type)
                 target.type = source.type;
         }
-        function messageIsEqual(part1, part2) {
-            return arrayIsEqual(part1.before, part2.before)
-                && arrayIsEqual(part1.after, part2.after)
-                && part1.type === part2.type;
-        }
-        function arrayIsEqual(val1, val2) {
-            return val1.length === val2.length && val1.every((val, i) => val2[i] === val);
-        }
+    }
+    /**
+     * Clear the cache of generated messages.
+     * @see {@link cacheMessages}
+     */
+    static clearMessageCache() {
+        this.#messageCache = new WeakMap();
     }
     // ---- Helper functions ----
     /**
      * Get the matching indefinite article (a or an) for the passed string.
+     * Provided by the current locale, see {@link Locale.getArticle}.
      *
      * @remarks
-     * This method is by no means linguistically sound, it simply checks
-     * whether the first character of the passed string is a vowel.
+     * The English implementation is by no means linguistically sound, it simply
+     * checks whether the first character of the passed string is a vowel.
      */
     static getArticle(value) {
-        return /^[aeiou]/i.test(value) ? 'an' : 'a';
+        return this.#locale.getArticle(value);
     }
     /**
      * Get a string list of all items of the passed string array
      * of the style "first, second, third or fourth".
+     * Provided by the current locale, see {@link Locale.enumerate}.
      *
      * @remarks
      * This is used within the {@link RuntimeTypeCheck.Cond.keywords} condition.
+     *
+     * @param quote Whether to wrap every item in double quotes.
+     */
+    static getPrettyEnumeratedList(list, quote = true) {
+        return this.#locale.enumerate(quote ? list.map(word => `"${word}"`) : list);
+    }
+    /**
+     * Get a string representation of the passed path in
+     * property accessor notation, e.g. `[3].items[0]`.
+     *
+     * @see {@link TypeCheckError.path}
      */
-    static getPrettyEnumeratedList(list) {
-        return list.reduce((acc, word, i) => {
-            if (i !== 0 && i === list.length - 1) {
-                acc += ' or ';
+    static getPrettyPath(path) {
+        return path.reduce((acc, key, i) => {
+            if (typeof key === 'number') {
+                return acc + `[${key}]`;
+            }
+            else if (typeof key === 'symbol') {
+                return acc + `[${key.toString()}]`;
+            }
+            else if (typeof key !== 'string') {
+                // Keys of a map may be any value
+                const isPrimitive = key === null || typeof key !== 'object' && typeof key !== 'function';
+                return acc + `[${isPrimitive ? String(key) : `<${this.getType(key)}>`}]`;
             }
-            else if (i !== 0) {
-                acc += ', ';
+            else if (/^[a-z_$][\w$]*$/i.test(key)) {
+                return acc + (i > 0 ? '.' : '') + key;
+            }
+            else {
+                return acc + `[${JSON.stringify(key)}]`;
             }
-            return acc + `"${word}"`;
         }, '');
     }
     /**
      * Return the `typeof` of a value with the
      * additional types 'array', 'NaN' and 'null'.
+     *
+     * Objects that are not plain object literals are denoted by the name
+     * of their constructor, e.g. 'Date', 'Map', 'Uint8Array' or the name
+     * of a class, or 'anonymous object' if it has no name.
+     * Objects without a prototype are plain objects.
      */
     static getType(value) {
         if (Array.isArray(value))
@@ -543,10 +3419,70 @@ export class RuntimeTypeCheck {
             return 'NaN';
         else if (value === null)
             return 'null';
+        else if (typeof value === 'object') {
+            const proto = Object.getPrototypeOf(value);
+            // Also covers object literals of other realms
+            if (proto === null || Object.getPrototypeOf(proto) === null) {
+                return 'object';
+            }
+            const name = proto.constructor?.name;
+            return name && name !== 'Object' ? name : 'anonymous object';
+        }
         else
             return typeof value;
     }
     // ---- Internal helpers ----
+    /**
+     * Extract the parameter names from the source of a function.
+     * Parameters without a simple name (destructured parameters)
+     * yield `undefined`.
+     */
+    static #getParameterNames(fn) {
+        const source = fn.toString();
+        const singleArrowParam = source.match(/^(?:async\s+)?([\w$]+)\s*=>/);
+        if (singleArrowParam) {
+            return [singleArrowParam[1]];
+        }
+        // Computed method names may contain parentheses themselves
+        if (/^(?:(?:async|get|set|static)\s+)*\*?\s*\[/.test(source)) {
+            return [];
+        }
+        const params = [];
+        let depth = 0;
+        let current = '';
+        for (let i = source.indexOf('(') + 1; i > 0 && i < source.length; i++) {
+            const char = source[i];
+            if (char === '"' || char === "'" || char === '`') {
+                // Skip string literals, which may contain any character
+                let end = i + 1;
+                while (end < source.length && source[end] !== char) {
+                    end += source[end] === '\\' ? 2 : 1;
+                }
+                current += source.slice(i, end + 1);
+                i = end;
+                continue;
+            }
+            // Comments and regular expressions are not parsed, so the names are ambiguous
+            if (char === '/') {
+                return [];
+            }
+            if (depth === 0 && (char === ',' || char === ')')) {
+                params.push(current);
+                current = '';
+                if (char === ')')
+                    break;
+                continue;
+            }
+            if ('([{'.includes(char))
+                depth++;
+            else if (')]}'.includes(char))
+                depth--;
+            current += char;
+        }
+        return params
+            .filter(param => param.trim() !== '')
+            .map(param => param.trim().match(/^(?:\.\.\.)?([\w$]+)\s*(?:=|$)/)?.[1]);
+    }
     /**
      * Return a passed condition list (which can be both an
      * array or a single item) as an ensured array.
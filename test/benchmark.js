@@ -0,0 +1,61 @@
+/*
+ * Benchmark of `RuntimeTypeCheck.compile` against `RuntimeTypeCheck.assert`.
+ * Runs both in the browser (as a module script) and in Node:
+ *   node test/benchmark.js
+ */
+import { RuntimeTypeCheck, Cond } from '../script/RuntimeTypeCheck.js';
+
+const ITERATIONS = 200_000;
+
+const cases = {
+  'positive integer': {
+    descriptor: [[ Cond.positive, Cond.integer ]],
+    values: [ 3, 42, -3, 2.5 ],
+  },
+  'string OR non-negative integer at most 10': {
+    descriptor: [ Cond.string, [ Cond.nonnegative, Cond.integer, Cond.max(10), Cond.multipleOf(2) ] ],
+    values: [ 'foo', 4, 12, -1, null ],
+  },
+  'non-empty string of length at most 5 OR false': {
+    descriptor: [ [ Cond.nonempty, Cond.string, Cond.maxLength(5) ], Cond.false ],
+    values: [ 'foo', '', 'foobar', false, true ],
+  },
+  'Array<number>': {
+    descriptor: [ Cond.array(Cond.number) ],
+    values: [ [ 1, 2, 3 ], [], [ 'a' ], 3 ],
+  },
+};
+
+function measure(assert, values) {
+  let result = 0;
+  const start = performance.now();
+  for (let i = 0; i < ITERATIONS; i++) {
+    if (assert(values[i % values.length])) result++;
+  }
+  return { time: performance.now() - start, result };
+}
+
+const results = {};
+for (const [ name, { descriptor, values } ] of Object.entries(cases)) {
+  const compiled = RuntimeTypeCheck.compile(...descriptor);
+  const uncompiled = val => RuntimeTypeCheck.assert(val, ...descriptor);
+
+  // Warmup
+  measure(uncompiled, values);
+  measure(compiled, values);
+
+  const base = measure(uncompiled, values);
+  const fast = measure(compiled, values);
+  if (base.result !== fast.result) {
+    throw new Error(`Compiled assertion of "${name}" yields a different result`);
+  }
+
+  results[name] = {
+    'assert (ms)': +base.time.toFixed(1),
+    'compile (ms)': +fast.time.toFixed(1),
+    'speedup': +(base.time / fast.time).toFixed(2),
+  };
+}
+
+console.log(`${ITERATIONS} iterations each`);
+console.table(results);
@@ -1,4 +1,4 @@
-import { RuntimeTypeCheck, Cond } from '../script/RuntimeTypeCheck.js';
+import { RuntimeTypeCheck, Cond, TypeCheckError, TypeCheckAggregateError, FunctionTypeCheckError, PropertyTypeCheckError, ConditionDefinitionError } from '../script/RuntimeTypeCheck.js';
 import { assert } from './lib/chai-v5-1-1.min.js';
 
 describe('Types', () => {
@@ -61,6 +61,445 @@ describe('Types', () => {
       assert.isOk(RuntimeTypeCheck.assert({}, Cond.object));
     });
   });
+  it('Object types', () => {
+    assert.isNotOk(RuntimeTypeCheck.assert(new Map(), Cond.object));
+    assert.isNotOk(RuntimeTypeCheck.assert(new Date(), Cond.object()));
+    assert.isOk(RuntimeTypeCheck.assert(Object.create(null), Cond.object));
+    assert.isOk(RuntimeTypeCheck.assert(new Map(), Cond.typeof('Map')));
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(new Map(), Cond.object), 'Expected object, got Map');
+  });
+  describe('map', () => {
+    const map = Cond.map(Cond.string, [[ Cond.positive, Cond.integer ]]);
+
+    it('Without inner types', () => {
+      assert.isOk(RuntimeTypeCheck.assert(new Map([[ 1, 'a' ]]), Cond.map));
+      assert.isOk(RuntimeTypeCheck.assert(new (class extends Map {}), Cond.map()));
+      assert.isNotOk(RuntimeTypeCheck.assert({}, Cond.map()));
+    });
+    it('With inner types', () => {
+      assert.isOk(RuntimeTypeCheck.assert(new Map([[ 'a', 1 ], [ 'b', 2 ]]), map));
+      assert.isNotOk(RuntimeTypeCheck.assert(new Map([[ 'a', 1 ], [ 'b', -2 ]]), map));
+      assert.isNotOk(RuntimeTypeCheck.assert(new Map([[ 3, 1 ]]), map));
+      assert.throws(() => Cond.map(Cond.string));
+    });
+    it('Messages', () => {
+      assert.equal(RuntimeTypeCheck.getMessageExpected(map), 'Map<string, positive integer>');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow(new Map([[ 'a', 1 ], [ 'b', 1.5 ]]), map),
+        'Expected Map<string, positive integer>, got Map<string, a floating point number> at "b"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow(new Map([[ 3, 1 ]]), map),
+        'Expected Map<string, positive integer>, got an invalid key 3 (number) at "[3]"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow(new Map([[ 'a', 1 ], [ {}, 1 ]]), map),
+        'got an invalid key <object> (object) at "[<object>]"');
+    });
+    it('Key failures', () => {
+      const { errors } = RuntimeTypeCheck.validate(new Map([[ 'a', -1 ], [ 3, 1 ], [ 'b', 1 ]]), map);
+      assert.deepEqual(errors.map(err => err.path), [ [ 'a' ], [ 3 ] ]);
+      assert.equal(errors[1].expected, 'key that is a string');
+      assert.equal(errors[1].condition.code, 'key');
+      assert.deepEqual(RuntimeTypeCheck.getFailingPath(new Map([[ new Date(0), 1 ]]), map).map(key => typeof key), [ 'object' ]);
+      assert.equal(RuntimeTypeCheck.getPrettyPath([ new Date(0), 'a' ]), '[<Date>].a');
+    });
+  });
+  describe('set', () => {
+    it('Without inner type', () => {
+      assert.isOk(RuntimeTypeCheck.assert(new Set([ 1, 'a' ]), Cond.set));
+      assert.isNotOk(RuntimeTypeCheck.assert([], Cond.set()));
+    });
+    it('With inner type', () => {
+      assert.isOk(RuntimeTypeCheck.assert(new Set([ 1, 2 ]), Cond.set(Cond.integer)));
+      assert.isNotOk(RuntimeTypeCheck.assert(new Set([ 1, 2.5 ]), Cond.set(Cond.integer)));
+    });
+    it('Messages', () => {
+      assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.set(Cond.integer)), 'Set<integer>');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow(new Set([ 1, 'a' ]), Cond.set(Cond.integer)),
+        'Expected Set<integer>, got Set<string> at "[1]"');
+    });
+  });
+  describe('record', () => {
+    const record = Cond.record(Cond.keywords('width', 'height'), [[ Cond.positive, Cond.integer ]]);
+
+    it('Keys and values', () => {
+      assert.isOk(RuntimeTypeCheck.assert({ width: 3 }, record));
+      assert.isOk(RuntimeTypeCheck.assert({}, record));
+      assert.isNotOk(RuntimeTypeCheck.assert({ width: 3, depth: 3 }, record));
+      assert.isNotOk(RuntimeTypeCheck.assert({ height: -3 }, record));
+      assert.isNotOk(RuntimeTypeCheck.assert(new Map(), record));
+      assert.isOk(RuntimeTypeCheck.assert({ '--color': 'red' }, Cond.record(Cond.pattern(/^--/), Cond.string)));
+    });
+    it('Messages', () => {
+      assert.equal(RuntimeTypeCheck.getMessageExpected(record), 'Object<one of the keywords "width" or "height", positive integer>');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 3, height: 1.5 }, record),
+        'got Object<one of the keywords "width" or "height", a floating point number> at "height"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 3, depth: 3 }, record),
+        'got an invalid key "depth" (a different string) at "depth"');
+      const { errors } = RuntimeTypeCheck.validate({ depth: 3, width: -1 }, record);
+      assert.deepEqual(errors.map(err => err.path), [ [ 'depth' ], [ 'width' ] ]);
+      assert.equal(errors[0].expected, 'key that is one of the keywords "width" or "height"');
+    });
+    it('parse and toJSONSchema', () => {
+      assert.deepEqual(RuntimeTypeCheck.parse({ width: '3' }, record), { width: 3 });
+      assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.record(Cond.string, Cond.number)), {
+        type: 'object',
+        propertyNames: { type: 'string', description: 'string' },
+        additionalProperties: { type: 'number', description: 'number' },
+        description: 'Object<string, number>',
+      });
+    });
+  });
+  it('instanceOf', () => {
+    class Foo {}
+    class Bar extends Foo {}
+    assert.isOk(RuntimeTypeCheck.assert(new Bar(), Cond.instanceOf(Foo)));
+    assert.isNotOk(RuntimeTypeCheck.assert(new Foo(), Cond.instanceOf(Bar)));
+    assert.isNotOk(RuntimeTypeCheck.assert({}, Cond.instanceOf(Foo)));
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(new Map(), Cond.instanceOf(Foo)), 'Expected Foo, got Map');
+  });
+  describe('shape', () => {
+    const shape = Cond.shape({
+      width: [[ Cond.positive, Cond.integer ]],
+      mode: Cond.keywords('horizontal', 'vertical'),
+    }, [ 'mode' ]);
+
+    it('Matching properties', () => {
+      assert.isOk(RuntimeTypeCheck.assert({ width: 3, mode: 'vertical' }, shape));
+      assert.isOk(RuntimeTypeCheck.assert({ width: 3, foo: 'bar' }, shape));
+      assert.isNotOk(RuntimeTypeCheck.assert({ width: -3, mode: 'vertical' }, shape));
+      assert.isNotOk(RuntimeTypeCheck.assert({ width: 3, mode: 'diagonal' }, shape));
+      assert.isNotOk(RuntimeTypeCheck.assert([], shape));
+    });
+    it('Optional keys', () => {
+      assert.isOk(RuntimeTypeCheck.assert({ width: 3, mode: undefined }, shape));
+      assert.isNotOk(RuntimeTypeCheck.assert({ mode: 'vertical' }, shape));
+    });
+    it('Messages', () => {
+      assert.equal(RuntimeTypeCheck.getMessageExpected(shape),
+        'object whose property "width" is a positive integer and whose optional property "mode" is one of the keywords "horizontal" or "vertical"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 0 }, shape),
+        'got a negative number or 0 at "width"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow({ mode: 'vertical' }, shape),
+        'got a missing property at "width"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow(3, shape), 'got number');
+    });
+    describe('Strict', () => {
+      const strict = Cond.shape({ width: Cond.positive, height: Cond.positive }, [ 'height' ], true);
+
+      it('Unknown keys', () => {
+        assert.isOk(RuntimeTypeCheck.assert({ width: 3, height: 2 }, strict));
+        assert.isOk(RuntimeTypeCheck.assert({ width: 3 }, strict));
+        assert.isNotOk(RuntimeTypeCheck.assert({ width: 3, depth: 2 }, strict));
+      });
+      it('Suggestions', () => {
+        assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 3, hieght: 2 }, strict),
+          'got an unknown property (did you mean "height"?) at "hieght"');
+        assert.throws(() => RuntimeTypeCheck.assertAndThrow({ Width: 3 }, strict),
+          /got an unknown property \(did you mean "width"\?\) at "Width"$/);
+        assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 3, Width: 3 }, strict),
+          /got an unknown property \(did you mean "width"\?\) at "Width"$/);
+        assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 3, depth: 2 }, strict),
+          /got an unknown property at "depth"$/);
+      });
+      it('Suggestions for missing properties', () => {
+        const required = Cond.shape({ width: Cond.positive, height: Cond.positive }, [], true);
+        assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 1, heigth: 2 }, required),
+          /got an unknown property \(did you mean "height"\?\) at "heigth"$/);
+        assert.throws(() => RuntimeTypeCheck.assertAndThrow({ width: 1, depth: 2 }, required),
+          /got a missing property at "height"$/);
+      });
+      it('Structured errors', () => {
+        const { errors } = RuntimeTypeCheck.validate({ widht: 3, height: 2, hieght: 2 }, strict);
+        assert.deepEqual(errors.map(err => err.path), [ [ 'widht' ], [ 'width' ], [ 'hieght' ] ]);
+        assert.equal(errors[0].condition.code, 'unknownKey');
+        assert.equal(errors[0].is, 'an unknown property (did you mean "width"?)');
+      });
+      it('toJSONSchema', () => {
+        assert.isFalse(RuntimeTypeCheck.toJSONSchema(strict).additionalProperties);
+        assert.notProperty(RuntimeTypeCheck.toJSONSchema(shape), 'additionalProperties');
+      });
+    });
+  });
+  describe('tuple', () => {
+    const tuple = Cond.tuple(Cond.number, Cond.number, Cond.string);
+
+    it('Positional descriptors', () => {
+      assert.isOk(RuntimeTypeCheck.assert([ 1, 2, 'a' ], tuple));
+      assert.isNotOk(RuntimeTypeCheck.assert([ 1, 'a', 'a' ], tuple));
+      assert.isNotOk(RuntimeTypeCheck.assert([ 1, 2 ], tuple));
+      assert.isNotOk(RuntimeTypeCheck.assert([ 1, 2, 'a', 'b' ], tuple));
+      assert.isNotOk(RuntimeTypeCheck.assert({}, tuple));
+    });
+    it('Optional elements', () => {
+      const optional = Cond.tuple(Cond.number, Cond.optional(Cond.string));
+      assert.isOk(RuntimeTypeCheck.assert([ 1 ], optional));
+      assert.isOk(RuntimeTypeCheck.assert([ 1, undefined ], optional));
+      assert.isOk(RuntimeTypeCheck.assert([ 1, 'a' ], optional));
+      assert.isNotOk(RuntimeTypeCheck.assert([], optional));
+      assert.isNotOk(RuntimeTypeCheck.assert([ 1, 2 ], optional));
+      assert.throws(() => Cond.tuple(Cond.optional(Cond.number), Cond.string), 'Optional elements can only be followed');
+    });
+    it('Rest descriptor', () => {
+      const rest = Cond.tuple(Cond.string, Cond.rest(Cond.number));
+      assert.isOk(RuntimeTypeCheck.assert([ 'a' ], rest));
+      assert.isOk(RuntimeTypeCheck.assert([ 'a', 1, 2, 3 ], rest));
+      assert.isNotOk(RuntimeTypeCheck.assert([ 'a', 1, 'b' ], rest));
+      assert.isOk(RuntimeTypeCheck.assert([ 1, 2 ], Cond.rest(Cond.number)));
+      assert.throws(() => Cond.tuple(Cond.rest(Cond.number), Cond.string), 'A rest element can only be the last element');
+    });
+    it('Messages', () => {
+      assert.equal(RuntimeTypeCheck.getMessageExpected(tuple), '[number, number, string]');
+      assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.tuple([[ Cond.positive, Cond.integer ]], Cond.optional(Cond.string), Cond.rest(Cond.boolean))),
+        '[positive integer, string?, ...Array<boolean>]');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow([ 1, 2, 3 ], tuple),
+        'Expected [number, number, string], got number at "[2]"');
+      assert.throws(() => RuntimeTypeCheck.assertAndThrow([ 1, 2 ], tuple),
+        'Expected [number, number, string], got an array of length 2');
+    });
+    it('Most relevant failing condition', () => {
+      assert.equal(RuntimeTypeCheck.assertFind([ 1, 2 ], Cond.string, tuple, Cond.number), tuple);
+    });
+  });
+});
+
+describe('Numeric conditions', () => {
+  it('nonnegative', () => {
+    assert.isOk(RuntimeTypeCheck.assert(0, Cond.nonnegative));
+    assert.isOk(RuntimeTypeCheck.assert(0n, Cond.nonnegative));
+    assert.isNotOk(RuntimeTypeCheck.assert(-1, Cond.nonnegative));
+    assert.isNotOk(RuntimeTypeCheck.assert(-1n, Cond.nonnegative));
+    assert.isNotOk(RuntimeTypeCheck.assert('1', Cond.nonnegative));
+  });
+  it('finite', () => {
+    assert.isOk(RuntimeTypeCheck.assert(-3.5, Cond.finite));
+    assert.isNotOk(RuntimeTypeCheck.assert(-Infinity, Cond.finite));
+    assert.isNotOk(RuntimeTypeCheck.assert(NaN, Cond.finite));
+  });
+  it('safeInteger', () => {
+    assert.isOk(RuntimeTypeCheck.assert(2 ** 53 - 1, Cond.safeInteger));
+    assert.isNotOk(RuntimeTypeCheck.assert(2 ** 53, Cond.safeInteger));
+    assert.isNotOk(RuntimeTypeCheck.assert(1.5, Cond.safeInteger));
+  });
+  it('Comparisons', () => {
+    assert.isOk(RuntimeTypeCheck.assert(3, Cond.min(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert(2, Cond.min(3)));
+    assert.isOk(RuntimeTypeCheck.assert(3, Cond.max(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert(4, Cond.max(3)));
+    assert.isOk(RuntimeTypeCheck.assert(4, Cond.greaterThan(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert(3, Cond.greaterThan(3)));
+    assert.isOk(RuntimeTypeCheck.assert(2, Cond.lessThan(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert(3, Cond.lessThan(3)));
+  });
+  it('range', () => {
+    assert.isOk(RuntimeTypeCheck.assert(0, Cond.range(0, 1)));
+    assert.isOk(RuntimeTypeCheck.assert(1, Cond.range(0, 1)));
+    assert.isNotOk(RuntimeTypeCheck.assert(0, Cond.range(0, 1, true)));
+    assert.isNotOk(RuntimeTypeCheck.assert(1, Cond.range(0, 1, false, true)));
+    assert.isOk(RuntimeTypeCheck.assert(0.5, Cond.range(0, 1, true, true)));
+  });
+  it('multipleOf', () => {
+    assert.isOk(RuntimeTypeCheck.assert(10, Cond.multipleOf(5)));
+    assert.isOk(RuntimeTypeCheck.assert(1.5, Cond.multipleOf(0.5)));
+    assert.isNotOk(RuntimeTypeCheck.assert(11, Cond.multipleOf(5)));
+    assert.isOk(RuntimeTypeCheck.assert(0.3, Cond.multipleOf(0.1)));
+    assert.isNotOk(RuntimeTypeCheck.assert(0.35, Cond.multipleOf(0.1)));
+  });
+  it('bigint', () => {
+    assert.isOk(RuntimeTypeCheck.assert(5n, Cond.min(3)));
+    assert.isOk(RuntimeTypeCheck.assert(5, Cond.max(10n)));
+    assert.isOk(RuntimeTypeCheck.assert(5n, Cond.range(0n, 10n)));
+    assert.isOk(RuntimeTypeCheck.assert(10n, Cond.multipleOf(5)));
+    assert.isOk(RuntimeTypeCheck.assert(10n, Cond.multipleOf(5n)));
+    assert.isNotOk(RuntimeTypeCheck.assert(10n, Cond.multipleOf(3n)));
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.min(5n)), 'bigint that is at least 5');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.range(0n, 10n)), 'bigint of the interval [0, 10]');
+  });
+  it('Messages', () => {
+    const desc = [ Cond.nonnegative, Cond.integer, Cond.max(10), Cond.multipleOf(2) ];
+    assert.equal(RuntimeTypeCheck.getMessageExpected(desc),
+      'non-negative integer that is at most 10 and is a multiple of 2');
+    assert.equal(RuntimeTypeCheck.getMessageExpected([ Cond.range(0, 1, false, true), Cond.multipleOf(0.25) ]),
+      'number of the interval [0, 1) that is a multiple of 0.25');
+    assert.equal(RuntimeTypeCheck.getMessageIs(-1n, Cond.nonnegative), 'a negative bigint');
+    assert.equal(RuntimeTypeCheck.getMessageIs(12, desc), 'a number greater than 10');
+    assert.equal(RuntimeTypeCheck.getMessageIs(3, desc), 'a number that is not a multiple of 2');
+  });
+});
+
+describe('Literal and nullable conditions', () => {
+  it('literal', () => {
+    assert.isOk(RuntimeTypeCheck.assert(42n, Cond.literal(42n)));
+    assert.isOk(RuntimeTypeCheck.assert(0, Cond.literal(0, 'foo')));
+    assert.isOk(RuntimeTypeCheck.assert(Symbol.iterator, Cond.literal(Symbol.iterator)));
+    assert.isNotOk(RuntimeTypeCheck.assert(42, Cond.literal(42n)));
+    assert.isNotOk(RuntimeTypeCheck.assert(Symbol('foo'), Cond.literal(Symbol('foo'))));
+  });
+  it('literal messages', () => {
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.literal(42)), 'the value 42');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.literal(0, 42n, 'foo', null)),
+      'one of the values 0, 42n, "foo" or null');
+    assert.equal(RuntimeTypeCheck.getMessageIs(43, Cond.literal(42)), 'a different number');
+    assert.equal(RuntimeTypeCheck.getMessageIs('foo', Cond.literal(42)), 'string');
+  });
+  it('nullable, optional, nullish', () => {
+    const positiveInt = [ Cond.positive, Cond.integer ];
+    assert.isOk(RuntimeTypeCheck.assert(null, Cond.nullable(positiveInt)));
+    assert.isOk(RuntimeTypeCheck.assert(3, Cond.nullable(positiveInt)));
+    assert.isNotOk(RuntimeTypeCheck.assert(undefined, Cond.nullable(positiveInt)));
+    assert.isOk(RuntimeTypeCheck.assert(undefined, Cond.optional(positiveInt)));
+    assert.isNotOk(RuntimeTypeCheck.assert(null, Cond.optional(positiveInt)));
+    assert.isOk(RuntimeTypeCheck.assert(null, Cond.nullish(positiveInt)));
+    assert.isOk(RuntimeTypeCheck.assert(undefined, Cond.nullish(positiveInt)));
+    assert.isNotOk(RuntimeTypeCheck.assert(-3, Cond.nullish(positiveInt)));
+    assert.isOk(RuntimeTypeCheck.assert({}, Cond.shape({ foo: Cond.optional(Cond.string) })));
+  });
+  it('nullable messages', () => {
+    const positiveInt = [ Cond.positive, Cond.integer ];
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.nullable(positiveInt)), 'positive integer OR null');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.nullish(Cond.string)), 'string OR null OR undefined');
+    assert.equal(RuntimeTypeCheck.getMessageIs(-3, Cond.optional(positiveInt)), 'a negative number or 0');
+  });
+});
+
+describe('String conditions', () => {
+  it('minLength & maxLength', () => {
+    assert.isOk(RuntimeTypeCheck.assert('abc', Cond.minLength(3)));
+    assert.isOk(RuntimeTypeCheck.assert([ 1, 2, 3, 4 ], Cond.minLength(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert('ab', Cond.minLength(3)));
+    assert.isOk(RuntimeTypeCheck.assert([], Cond.maxLength(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert('abcd', Cond.maxLength(3)));
+    assert.isNotOk(RuntimeTypeCheck.assert(3, Cond.maxLength(3)));
+    assert.equal(RuntimeTypeCheck.getMessageIs('ab', Cond.minLength(3)), 'a string of length 2');
+  });
+  it('pattern', () => {
+    const pattern = Cond.pattern(/^[a-z-]+$/g, 'a kebab-case word');
+    assert.isOk(RuntimeTypeCheck.assert('foo-bar', pattern));
+    assert.isOk(RuntimeTypeCheck.assert('foo-bar', pattern), 'Global flag does not keep state');
+    assert.isNotOk(RuntimeTypeCheck.assert('fooBar', pattern));
+    assert.isNotOk(RuntimeTypeCheck.assert(3, pattern));
+    assert.equal(RuntimeTypeCheck.getMessageExpected(pattern), 'string matching a kebab-case word');
+    assert.equal(RuntimeTypeCheck.getMessageIs('fooBar', pattern), 'a string not matching a kebab-case word');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.pattern(/^a+$/)), 'string matching /^a+$/');
+  });
+  it('Formats', () => {
+    assert.isOk(RuntimeTypeCheck.assert('123e4567-E89B-12d3-a456-426614174000', Cond.uuid));
+    assert.isNotOk(RuntimeTypeCheck.assert('123e4567-e89b-12d3-a456', Cond.uuid));
+    assert.isOk(RuntimeTypeCheck.assert('foo@bar.baz', Cond.email));
+    assert.isNotOk(RuntimeTypeCheck.assert('foo@bar', Cond.email));
+    assert.isOk(RuntimeTypeCheck.assert('https://example.com/foo?bar', Cond.url));
+    assert.isNotOk(RuntimeTypeCheck.assert('example.com', Cond.url));
+    assert.isOk(RuntimeTypeCheck.assert('2024-02-29', Cond.isoDate));
+    assert.isOk(RuntimeTypeCheck.assert('2024-02-29T12:30:00.5+02:00', Cond.isoDate));
+    assert.isNotOk(RuntimeTypeCheck.assert('2024-13-01', Cond.isoDate));
+    assert.isOk(RuntimeTypeCheck.assert('#fA0', Cond.hexColor));
+    assert.isOk(RuntimeTypeCheck.assert('#ff00aa80', Cond.hexColor));
+    assert.isNotOk(RuntimeTypeCheck.assert('#ff00a', Cond.hexColor));
+    assert.isOk(RuntimeTypeCheck.assert('$foo_1', Cond.identifier));
+    assert.isNotOk(RuntimeTypeCheck.assert('1foo', Cond.identifier));
+  });
+  it('Format messages', () => {
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.uuid), 'string matching a UUID');
+    assert.equal(RuntimeTypeCheck.getMessageIs('foo', Cond.uuid), 'a string that is not a valid UUID');
+    assert.equal(RuntimeTypeCheck.getMessageIs(3, Cond.uuid), 'number');
+  });
+});
+
+describe('union', () => {
+  const shape = Cond.union('type', {
+    circle: Cond.shape({ r: Cond.positive }),
+    rect: [ Cond.shape({ w: Cond.positive, h: Cond.positive }) ],
+  });
+  const getError = (val, ...descriptor) => {
+    try {
+      RuntimeTypeCheck.assertAndThrow(val, ...descriptor);
+    } catch (err) {
+      return err;
+    }
+    assert.fail();
+  }
+
+  it('Selects the branch by its tag', () => {
+    assert.isOk(RuntimeTypeCheck.assert({ type: 'circle', r: 3 }, shape));
+    assert.isOk(RuntimeTypeCheck.assert({ type: 'rect', w: 1, h: 2 }, shape));
+    assert.isNotOk(RuntimeTypeCheck.assert({ type: 'circle', w: 1, h: 2 }, shape));
+    assert.isNotOk(RuntimeTypeCheck.assert({ type: 'triangle' }, shape));
+    assert.isNotOk(RuntimeTypeCheck.assert({ type: 'toString' }, shape));
+    assert.isNotOk(RuntimeTypeCheck.assert('circle', shape));
+  });
+  it('Unknown tag', () => {
+    const err = getError({ type: 'triangle' }, shape);
+    assert.equal(err.is, 'unknown type "triangle", expected one of "circle" or "rect"');
+    assert.equal(err.code, 'union');
+    assert.deepEqual(err.path, []);
+  });
+  it('Reports only the selected branch', () => {
+    const err = getError({ type: 'rect', w: 1 }, shape);
+    assert.equal(err.message, 'Expected object whose property "w" is a positive number and whose property "h" '
+      + 'is a positive number, got a missing property at "h"');
+    assert.deepEqual(err.path, [ 'h' ]);
+    assert.lengthOf(err.alternatives, 1);
+
+    const nested = getError([ { type: 'circle', r: 1 }, { type: 'circle', r: -1 } ], Cond.array(shape));
+    assert.deepEqual(nested.path, [ 1, 'r' ]);
+    assert.equal(nested.code, 'positive');
+  });
+  it('Messages', () => {
+    assert.equal(RuntimeTypeCheck.getMessageExpected(shape),
+      'object whose property "r" is a positive number (type "circle") OR '
+      + 'object whose property "w" is a positive number and whose property "h" is a positive number (type "rect")');
+    assert.equal(getError(3, shape).message.split(', got ')[1], 'number');
+  });
+  it('parse and toJSONSchema', () => {
+    assert.deepEqual(RuntimeTypeCheck.parse({ type: 'circle', r: '2' }, shape), { type: 'circle', r: 2 });
+    const schema = RuntimeTypeCheck.toJSONSchema(shape);
+    assert.equal(schema.type, 'object');
+    assert.deepEqual(schema.anyOf.map(branch => branch.allOf[0]), [
+      { properties: { type: { const: 'circle' } }, required: [ 'type' ] },
+      { properties: { type: { const: 'rect' } }, required: [ 'type' ] },
+    ]);
+  });
+});
+
+describe('lazy', () => {
+  const node = Cond.lazy('Node', () => nodeShape);
+  const nodeShape = Cond.shape({
+    name: Cond.string,
+    children: Cond.array(node)
+  });
+
+  it('Recursive descriptor', () => {
+    assert.isOk(RuntimeTypeCheck.assert({ name: 'a', children: [] }, node));
+    assert.isOk(RuntimeTypeCheck.assert({ name: 'a', children: [{ name: 'b', children: [] }] }, node));
+    assert.isNotOk(RuntimeTypeCheck.assert({ name: 'a', children: [{ name: 'b' }] }, node));
+    assert.isNotOk(RuntimeTypeCheck.assert('a', node));
+  });
+  it('Resolves a single condition', () => {
+    assert.isOk(RuntimeTypeCheck.assert('a', Cond.lazy('Foo', () => Cond.string)));
+  });
+  it('Messages', () => {
+    assert.equal(RuntimeTypeCheck.getMessageExpected(nodeShape),
+      'object whose property "name" is a string and whose property "children" is an Array<Node>');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.array(node)), 'Array<Node>');
+    assert.throws(() => {
+      RuntimeTypeCheck.assertAndThrow({ name: 'a', children: [{ name: 'b', children: [{ name: 3, children: [] }] }] }, node);
+    }, 'Expected Node, got Array<Array<number>> at "children[0].children[0].name"');
+  });
+  it('Cyclic values', () => {
+    const valid = { name: 'a', children: [] };
+    valid.children.push(valid);
+    assert.isOk(RuntimeTypeCheck.assert(valid, node));
+
+    const invalid = { name: 3, children: [] };
+    invalid.children.push(invalid);
+    assert.isNotOk(RuntimeTypeCheck.assert(invalid, node));
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(invalid, node), 'Expected Node, got number at "name"');
+    assert.deepEqual(RuntimeTypeCheck.validate(invalid, node).errors.map(err => err.path), [ [ 'name' ] ]);
+  });
+  it('Mutually cyclic values terminate', () => {
+    const a = { name: 'a', children: [] };
+    const b = { name: 3, children: [ a ] };
+    a.children.push(b);
+    assert.isNotOk(RuntimeTypeCheck.assert(a, node));
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(a, node), TypeCheckError);
+    assert.isNotOk(RuntimeTypeCheck.validate(a, node).ok);
+  });
 });
 
 describe('Nested conditions', () => {
@@ -267,6 +706,158 @@ describe('Message merger', () => {
   });
 });
 
+describe('Message cache', () => {
+  afterEach(() => {
+    RuntimeTypeCheck.cacheMessages = true;
+    RuntimeTypeCheck.clearMessageCache();
+  });
+
+  function countingCondition(type) {
+    const condition = {
+      count: 0,
+      assert: () => false,
+      get shouldBe() {
+        condition.count++;
+        return { type };
+      },
+    };
+    return condition;
+  }
+
+  it('Messages are cached per condition list', () => {
+    const foo = countingCondition('foo');
+    const positive = { conditions: [ foo ], shouldBe: { before: 'positive' } };
+
+    assert.equal(RuntimeTypeCheck.getMessageExpected([ positive ], Cond.string), 'positive foo OR string');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(positive), 'positive foo');
+    assert.equal(foo.count, 1);
+  });
+  it('Cached messages are not mutated by merging', () => {
+    const deep = { conditions: [ Cond.string, Cond.number ], shouldBe: { after: 'that is deep' } };
+
+    assert.equal(RuntimeTypeCheck.getMessageExpected(deep), 'string that is deep OR number that is deep');
+    assert.equal(RuntimeTypeCheck.getMessageExpected([ deep, { shouldBe: { before: 'cool' } } ]), 'cool string that is deep OR cool number that is deep');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(deep), 'string that is deep OR number that is deep');
+  });
+  it('Clear and disable the cache', () => {
+    const foo = countingCondition('foo');
+
+    RuntimeTypeCheck.getMessageExpected(foo);
+    RuntimeTypeCheck.clearMessageCache();
+    RuntimeTypeCheck.getMessageExpected(foo);
+    assert.equal(foo.count, 2);
+
+    RuntimeTypeCheck.cacheMessages = false;
+    RuntimeTypeCheck.getMessageExpected(foo);
+    RuntimeTypeCheck.getMessageExpected(foo);
+    assert.equal(foo.count, 4);
+  });
+  it('Container messages are generated lazily', () => {
+    const foo = countingCondition('foo');
+    const conditions = [
+      Cond.array(foo), Cond.object('string', foo), Cond.set(foo), Cond.map(foo, foo),
+      Cond.shape({ foo }), Cond.tuple(foo)
+    ];
+    assert.equal(foo.count, 0);
+
+    assert.equal(RuntimeTypeCheck.getMessageExpected(conditions[0]), 'Array<foo>');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(conditions[4]), 'object whose property "foo" is a foo');
+    assert.equal(foo.count, 1);
+  });
+});
+
+describe('Locales', () => {
+  const german = {
+    typeCheckError: (expected, is, path) => `Erwartet: ${expected}, erhalten: ${is}` + (path ? ` bei "${path}"` : ''),
+    joinAlternatives: alternatives => alternatives.join(' ODER '),
+    joinClauses: clauses => clauses.join(' und '),
+    getArticle: () => 'ein',
+    prefixArticle: expected => expected,
+    enumerate: list => list.slice(0, -1).join(', ') + ' oder ' + list.at(-1),
+    messages: {
+      'typeof.is': ({type}) => ({ number: 'Zahl', string: 'Zeichenkette' })[type] ?? type,
+      'typeof.shouldBe': type => ({ type: ({ number: 'Zahl', string: 'Zeichenkette' })[type] ?? type }),
+      'numeric.shouldBe': { type: 'Zahl' },
+      'positive.shouldBe': { before: 'positive' },
+      'positive.is': 'eine negative Zahl oder 0',
+      'keywords.shouldBe': keywords => ({ type: `eines der Schlüsselwörter ${RuntimeTypeCheck.getPrettyEnumeratedList(keywords)}` }),
+      'min.shouldBe': value => ({ after: `mindestens ${value}` }),
+      'max.shouldBe': value => ({ after: `höchstens ${value}` }),
+    }
+  };
+
+  before(() => {
+    RuntimeTypeCheck.registerLocale('de', german);
+  });
+  afterEach(() => {
+    RuntimeTypeCheck.setLocale('en');
+  });
+
+  it('Messages and grammar helpers', () => {
+    RuntimeTypeCheck.setLocale('de');
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(-3, Cond.positive, Cond.string), TypeCheckError,
+      'Erwartet: positive Zahl ODER Zeichenkette, erhalten: eine negative Zahl oder 0');
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow({ a: 3 }, Cond.shape({ a: Cond.string })), TypeCheckError,
+      'erhalten: Zahl bei "a"');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.keywords('a', 'b', 'c')), 'eines der Schlüsselwörter "a", "b" oder "c"');
+    assert.equal(RuntimeTypeCheck.getMessageExpected([ Cond.min(1), Cond.max(5) ]), 'Zahl mindestens 1 und höchstens 5');
+    assert.equal(RuntimeTypeCheck.getArticle('Zahl'), 'ein');
+  });
+  it('Missing messages fall back to English', () => {
+    RuntimeTypeCheck.setLocale('de');
+    assert.equal(RuntimeTypeCheck.getMessageExpected([ Cond.nonnegative, Cond.integer ]), 'non-negative integer');
+  });
+  it('Switching locales', () => {
+    const descriptor = [[ Cond.positive, Cond.number ]];
+    assert.equal(RuntimeTypeCheck.getMessageExpected(...descriptor), 'positive number');
+    RuntimeTypeCheck.setLocale('de');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(...descriptor), 'positive Zahl');
+    RuntimeTypeCheck.setLocale('en');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(...descriptor), 'positive number');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.array(Cond.string)), 'Array<string>');
+  });
+  it('Custom conditions', () => {
+    RuntimeTypeCheck.registerLocale('de', {
+      ...german,
+      messages: { ...german.messages, 'even.shouldBe': { before: 'gerade' } }
+    });
+    const even = {
+      conditions: [ Cond.integer ],
+      assert: val => val % 2 === 0,
+      get shouldBe() { return RuntimeTypeCheck.getMessage('even.shouldBe') },
+      is: 'an odd number',
+    };
+    RuntimeTypeCheck.setLocale('de');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(even), 'gerade integer');
+    RuntimeTypeCheck.setLocale('en');
+    assert.throws(() => RuntimeTypeCheck.getMessageExpected(even), 'Unknown message key "even.shouldBe" in locale "en"');
+  });
+  it('Error messages', () => {
+    RuntimeTypeCheck.registerLocale('de', {
+      ...german,
+      messages: {
+        ...german.messages,
+        'typeCheckAggregateError': messages => `${messages.length} Typfehler:\n` + messages.join('\n'),
+        'functionTypeCheckError': (target, functionName, message) => `${target} von ${functionName}: ${message}`,
+        'functionTypeCheckError.argument': (index, name) => `Argument ${index + 1}` + (name ? ` (\`${name}\`)` : ''),
+        'functionTypeCheckError.returnValue': 'Rückgabewert',
+        'functionTypeCheckError.anonymous': 'anonyme Funktion',
+      }
+    });
+    RuntimeTypeCheck.setLocale('de');
+    assert.throws(() => RuntimeTypeCheck.validateAndThrow([ 'a', 'b' ], Cond.array(Cond.number)), TypeCheckAggregateError,
+      /^2 Typfehler:\nErwartet: Zahl, erhalten: Zeichenkette bei "\[0\]"/);
+    assert.throws(() => RuntimeTypeCheck.guard(size => size, Cond.number)('a'), FunctionTypeCheckError,
+      /^Argument 1 \(`size`\) von anonyme Funktion: Erwartet/);
+    assert.throws(() => RuntimeTypeCheck.guard(() => 'a', { returns: Cond.number })(), FunctionTypeCheckError,
+      /^Rückgabewert von anonyme Funktion: /);
+  });
+  it('Unknown locale', () => {
+    assert.throws(() => RuntimeTypeCheck.setLocale('fr'), 'Unknown locale "fr"');
+    assert.equal(RuntimeTypeCheck.getMessageExpected(Cond.number), 'number');
+  });
+});
+
 describe('assertFind', () => {
   const nok = (conditions = []) => ({
     conditions,
@@ -350,6 +941,971 @@ describe('assertFind', () => {
   });
 });
 
+describe('getType', () => {
+  it('Primitives', () => {
+    assert.equal(RuntimeTypeCheck.getType('foo'), 'string');
+    assert.equal(RuntimeTypeCheck.getType(3n), 'bigint');
+    assert.equal(RuntimeTypeCheck.getType(NaN), 'NaN');
+    assert.equal(RuntimeTypeCheck.getType(null), 'null');
+    assert.equal(RuntimeTypeCheck.getType(undefined), 'undefined');
+    assert.equal(RuntimeTypeCheck.getType(() => {}), 'function');
+  });
+  it('Plain objects', () => {
+    assert.equal(RuntimeTypeCheck.getType({}), 'object');
+    assert.equal(RuntimeTypeCheck.getType({ constructor: 'foo' }), 'object');
+    assert.equal(RuntimeTypeCheck.getType(Object.create(null)), 'object');
+    assert.equal(RuntimeTypeCheck.getType([]), 'array');
+  });
+  it('Builtins', () => {
+    assert.equal(RuntimeTypeCheck.getType(new Date()), 'Date');
+    assert.equal(RuntimeTypeCheck.getType(/foo/), 'RegExp');
+    assert.equal(RuntimeTypeCheck.getType(new Map()), 'Map');
+    assert.equal(RuntimeTypeCheck.getType(new Set()), 'Set');
+    assert.equal(RuntimeTypeCheck.getType(new WeakMap()), 'WeakMap');
+    assert.equal(RuntimeTypeCheck.getType(Promise.resolve()), 'Promise');
+    assert.equal(RuntimeTypeCheck.getType(new Error()), 'Error');
+    assert.equal(RuntimeTypeCheck.getType(new TypeError()), 'TypeError');
+    assert.equal(RuntimeTypeCheck.getType(new Uint8Array()), 'Uint8Array');
+    assert.equal(RuntimeTypeCheck.getType(new ArrayBuffer(1)), 'ArrayBuffer');
+  });
+  it('Class instances', () => {
+    class Foo {}
+    class Bar extends Map {}
+    assert.equal(RuntimeTypeCheck.getType(new Foo()), 'Foo');
+    assert.equal(RuntimeTypeCheck.getType(new Bar()), 'Bar');
+    assert.equal(RuntimeTypeCheck.getType(new (class {})), 'anonymous object');
+    assert.equal(RuntimeTypeCheck.getType(Object.create({})), 'anonymous object');
+    assert.isNotOk(RuntimeTypeCheck.assert(new (class {}), Cond.object));
+    assert.isNotOk(RuntimeTypeCheck.assert(new (class { a = 'b' }), Cond.shape({ a: Cond.string })));
+  });
+  it('Articles', () => {
+    assert.equal(RuntimeTypeCheck.getArticle('object'), 'an');
+    assert.equal(RuntimeTypeCheck.getArticle('undefined'), 'an');
+    assert.equal(RuntimeTypeCheck.getArticle('Uint8Array'), 'a');
+    assert.equal(RuntimeTypeCheck.getArticle('URL'), 'a');
+    assert.equal(RuntimeTypeCheck.getArticle('unique string'), 'a');
+  });
+});
+
+describe('Failing path', () => {
+  it('Shallow', () => {
+    assert.deepEqual(RuntimeTypeCheck.getFailingPath(3, Cond.string), []);
+    assert.deepEqual(RuntimeTypeCheck.getFailingPath(['a', 3], Cond.array(Cond.string)), [ 1 ]);
+    assert.deepEqual(RuntimeTypeCheck.getFailingPath('a', Cond.string), []);
+  });
+  it('Nested arrays and objects', () => {
+    const desc = Cond.array(Cond.object('string', Cond.array(Cond.string)));
+    assert.deepEqual(RuntimeTypeCheck.getFailingPath([{}, {}, {}, { items: [3] }], desc), [ 3, 'items', 0 ]);
+    assert.deepEqual(
+      RuntimeTypeCheck.getFailingPath({ a: { width: -1 } }, Cond.object('string', Cond.shape({ width: Cond.positive }))),
+      [ 'a', 'width' ]);
+  });
+  it('Follows the most relevant condition', () => {
+    const desc = [ Cond.number, Cond.array(Cond.string, Cond.array(Cond.string)) ];
+    assert.deepEqual(RuntimeTypeCheck.getFailingPath([ 'a', [ 'b', 3 ] ], ...desc), [ 1, 1 ]);
+  });
+  it('Pretty path', () => {
+    assert.equal(RuntimeTypeCheck.getPrettyPath([ 3, 'items', 0 ]), '[3].items[0]');
+    assert.equal(RuntimeTypeCheck.getPrettyPath([ 'items', 'foo bar' ]), 'items["foo bar"]');
+  });
+  it('TypeCheckError', () => {
+    try {
+      RuntimeTypeCheck.assertAndThrow([['a'], [1]], Cond.array(Cond.array(Cond.string)));
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, TypeCheckError);
+      assert.deepEqual(err.path, [ 1, 0 ]);
+      assert.equal(err.message, 'Expected Array<Array<string>>, got Array<Array<number>> at "[1][0]"');
+    }
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(3, Cond.array(Cond.string)), /got number$/);
+  });
+});
+
+describe('Structured errors', () => {
+  const getError = (val, ...descriptor) => {
+    try {
+      RuntimeTypeCheck.assertAndThrow(val, ...descriptor);
+    } catch (err) {
+      return err;
+    }
+    assert.fail();
+  }
+
+  it('Condition codes', () => {
+    assert.equal(Cond.integer.code, 'integer');
+    assert.equal(Cond.string.code, 'string');
+    assert.equal(Cond.typeof('symbol').code, 'symbol');
+    assert.equal(Cond.keywords('foo').code, 'keywords');
+    assert.equal(Cond.email.code, 'email');
+    assert.equal(Cond.array.code, 'array');
+    assert.equal(Cond.array(Cond.string).code, 'array');
+    assert.equal(Cond.shape({}).code, 'shape');
+  });
+  it('Failing condition and value', () => {
+    const err = getError({ items: [ 1, 2.5 ] }, Cond.shape({ items: Cond.array(Cond.integer) }));
+    assert.equal(err.message, 'Expected object whose property "items" is an Array<integer>, got Array<a floating point number> at "items[1]"');
+    assert.equal(err.condition, Cond.integer);
+    assert.equal(err.code, 'integer');
+    assert.equal(err.value, 2.5);
+    assert.deepEqual(err.path, [ 'items', 1 ]);
+  });
+  it('Expected alternatives', () => {
+    const err = getError(-3, [ Cond.positive, Cond.integer ], Cond.keywords('auto'));
+    assert.equal(err.code, 'positive');
+    assert.deepEqual(err.alternatives, RuntimeTypeCheck.mergeDescriptorMessages([ Cond.positive, Cond.integer ], Cond.keywords('auto')));
+    assert.deepEqual(err.alternatives.map(partial => RuntimeTypeCheck.compilePartialMessage(partial)), [
+      'positive integer', 'the keyword "auto"'
+    ]);
+  });
+  it('Custom conditions', () => {
+    assert.isUndefined(getError(3, { assert: val => false, shouldBe: { type: 'foo' }, is: 'bar' }).code);
+    assert.equal(getError(3, { code: 'foo', assert: val => false, shouldBe: { type: 'foo' }, is: 'bar' }).code, 'foo');
+  });
+  it('validateAndThrow', () => {
+    try {
+      RuntimeTypeCheck.validateAndThrow([ 'a', 3, false ], Cond.array(Cond.string));
+      assert.fail();
+    } catch (err) {
+      assert.deepEqual(err.errors.map(({ code, value }) => ({ code, value })), [
+        { code: 'string', value: 3 },
+        { code: 'string', value: false },
+      ]);
+      assert.deepEqual(err.errors[0].alternatives, [{ before: [], type: 'string', after: [] }]);
+    }
+  });
+  it('toJSON', () => {
+    const key = Symbol('key');
+    const err = getError({ [key]: 3 }, {
+      conditions: [ Cond.object ],
+      assert: val => typeof val[key] === 'string',
+      inner: val => [{ key, val: val[key], descriptor: [ Cond.string ] }],
+      shouldBe: { after: 'with a string' },
+      is: 'bar'
+    });
+    assert.deepEqual(JSON.parse(JSON.stringify(err)), {
+      name: 'TypeCheckError',
+      code: 'string',
+      message: err.message,
+      expected: err.expected,
+      is: err.is,
+      path: [ 'Symbol(key)' ],
+      alternatives: [{ before: [], type: 'object', after: [ 'with a string' ] }],
+    });
+  });
+});
+
+describe('validate', () => {
+  const shape = Cond.shape({
+    width: [[ Cond.positive, Cond.integer ]],
+    items: Cond.array(Cond.string),
+  });
+
+  it('Passing value', () => {
+    assert.deepEqual(RuntimeTypeCheck.validate({ width: 3, items: [] }, shape), { ok: true, errors: [] });
+    assert.isOk(RuntimeTypeCheck.validateAndThrow('foo', Cond.string));
+  });
+  it('Shallow failure', () => {
+    assert.deepEqual(RuntimeTypeCheck.validate(3, Cond.string), {
+      ok: false,
+      errors: [{ path: [], expected: 'string', is: 'number', condition: Cond.string }]
+    });
+  });
+  it('Collects every failure', () => {
+    const { ok, errors } = RuntimeTypeCheck.validate({ width: 2.5, items: [ 'a', 1, 'b', false ] }, shape);
+    assert.isNotOk(ok);
+    assert.deepEqual(errors.map(err => err.path), [ [ 'width' ], [ 'items', 1 ], [ 'items', 3 ] ]);
+    assert.deepEqual(errors.map(err => err.is), [ 'a floating point number', 'number', 'boolean' ]);
+    assert.equal(errors[0].expected, 'positive integer');
+    assert.equal(errors[0].condition, Cond.integer);
+  });
+  it('Throwing variant', () => {
+    try {
+      RuntimeTypeCheck.validateAndThrow({ width: -1, items: [ 3 ] }, shape);
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, TypeCheckAggregateError);
+      assert.lengthOf(err.errors, 2);
+      assert.instanceOf(err.errors[0], TypeCheckError);
+      assert.equal(err.errors[1].message, 'Expected string, got number at "items[0]"');
+    }
+  });
+  it('Missing properties', () => {
+    const { errors } = RuntimeTypeCheck.validate({ items: [], width: undefined }, Cond.shape({
+      width: Cond.number,
+      height: Cond.number,
+    }));
+    assert.deepEqual(errors.map(err => err.is), [ 'undefined', 'a missing property' ]);
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow({}, shape), 'got a missing property at "width"');
+    assert.equal(RuntimeTypeCheck.validate({}, shape).errors[0].is, 'a missing property');
+  });
+});
+
+describe('guard', () => {
+  const createSlider = RuntimeTypeCheck.guard(function createSlider(node, options = {}, ...rest) {
+    return this;
+  }, Cond.string, Cond.shape({ range: Cond.array(Cond.number) }), { returns: Cond.optional(Cond.object) });
+
+  it('Passing arguments', () => {
+    assert.doesNotThrow(() => createSlider('foo', { range: [ 1, 2 ] }, 'additional'));
+  });
+  it('Failing arguments', () => {
+    try {
+      createSlider('foo', { range: 3 });
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, FunctionTypeCheckError);
+      assert.instanceOf(err, TypeCheckError);
+      assert.equal(err.argumentIndex, 1);
+      assert.equal(err.argumentName, 'options');
+      assert.equal(err.functionName, 'createSlider');
+      assert.deepEqual(err.path, [ 'range' ]);
+      assert.equal(err.message,
+        'Argument 2 (`options`) of `createSlider`: Expected object whose property "range" is an Array<number>, got number at "range"');
+    }
+    assert.throws(() => createSlider(3, {}), 'Argument 1 (`node`) of `createSlider`: Expected string, got number');
+  });
+  it('Parameter names', () => {
+    const fn = RuntimeTypeCheck.guard(({ a }, b = (1, 2), ...c) => {}, Cond.number, Cond.number, Cond.number);
+    assert.throws(() => fn('a'), /^Argument 1 of anonymous function:/);
+    assert.throws(() => fn(1, 'a'), /^Argument 2 \(`b`\)/);
+    assert.throws(() => fn(1, 2, 'a'), /^Argument 3 \(`c`\)/);
+    assert.throws(RuntimeTypeCheck.guard(foo => {}, Cond.number), /^Argument 1 \(`foo`\)/);
+    const f = (a, b) => a + b;
+    const nested = RuntimeTypeCheck.guard((a = f(1, 2), b = ')', c = "a,b", d) => {}, Cond.number, Cond.number, Cond.number, Cond.number);
+    assert.throws(() => nested(1, 2, 3, 'a'), /^Argument 4 \(`d`\)/);
+    const ambiguous = RuntimeTypeCheck.guard((a = /\)/, b) => {}, Cond.instanceOf(RegExp), Cond.number);
+    assert.throws(() => ambiguous(/a/, 'a'), /^Argument 2 of/);
+  });
+  it('Preserves this and name', () => {
+    const obj = { createSlider };
+    assert.equal(obj.createSlider('foo', { range: [] }), obj);
+    assert.equal(createSlider.name, 'createSlider');
+  });
+  it('Return value', () => {
+    assert.throws(() => createSlider.call(3, 'foo', { range: [] }), /^Return value of `createSlider`: Expected object OR undefined/);
+  });
+  it('Argument descriptors', () => {
+    const fn = RuntimeTypeCheck.guard((a, b) => b, [ Cond.number, Cond.string ], [ [ Cond.integer, Cond.positive ] ], { returns: [ Cond.number ] });
+    assert.equal(fn('a', 2), 2);
+    assert.throws(() => fn(1, 1.5), /^Argument 2 \(`b`\) of anonymous function: Expected positive integer, got a floating point number/);
+    assert.throws(() => fn(true, 2), /^Argument 1 \(`a`\) of anonymous function: Expected number OR string/);
+  });
+  it('Async return value', async () => {
+    const double = RuntimeTypeCheck.guard(async val => val * 2, Cond.number, { returns: Cond.integer });
+    assert.equal(await double(2), 4);
+    try {
+      await double(1.25);
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, FunctionTypeCheckError);
+      assert.equal(err.argumentIndex, -1);
+    }
+  });
+});
+
+describe('parse', () => {
+  it('Coerce primitives', () => {
+    assert.strictEqual(RuntimeTypeCheck.parse('3.5', Cond.number), 3.5);
+    assert.strictEqual(RuntimeTypeCheck.parse(' -2 ', [ Cond.nonnegative, Cond.integer ], Cond.integer), -2);
+    assert.strictEqual(RuntimeTypeCheck.parse('true', Cond.boolean), true);
+    assert.strictEqual(RuntimeTypeCheck.parse('false', Cond.false), false);
+    assert.strictEqual(RuntimeTypeCheck.parse('42', Cond.bigint), 42n);
+    assert.strictEqual(RuntimeTypeCheck.parse(3, Cond.number), 3);
+  });
+  it('First matching condition list wins', () => {
+    assert.strictEqual(RuntimeTypeCheck.parse('3', Cond.string, Cond.number), '3');
+    assert.strictEqual(RuntimeTypeCheck.parse('3', Cond.boolean, Cond.number), 3);
+  });
+  it('Reject values that cannot be coerced', () => {
+    assert.throws(() => RuntimeTypeCheck.parse('3.5', Cond.integer), TypeCheckError, 'Expected integer, got a floating point number');
+    assert.throws(() => RuntimeTypeCheck.parse('foo', Cond.number), TypeCheckError, 'Expected number, got string');
+    assert.throws(() => RuntimeTypeCheck.parse('', Cond.number), TypeCheckError, 'Expected number, got string');
+    assert.throws(() => RuntimeTypeCheck.parse('yes', Cond.boolean), TypeCheckError, 'Expected boolean, got string');
+  });
+  it('Coerce inner values', () => {
+    const params = { step: '2', range: [ '0', '100' ] };
+    const descriptor = Cond.shape({
+      step: Cond.integer,
+      range: Cond.array(Cond.number),
+      pair: Cond.optional(Cond.tuple(Cond.number, Cond.boolean)),
+    });
+
+    assert.deepEqual(RuntimeTypeCheck.parse(params, descriptor), { step: 2, range: [ 0, 100 ] });
+    assert.deepEqual(params, { step: '2', range: [ '0', '100' ] });
+    assert.deepEqual(RuntimeTypeCheck.parse({ ...params, pair: [ '1', 'true' ] }, descriptor).pair, [ 1, true ]);
+    assert.deepEqual(RuntimeTypeCheck.parse({ a: '1' }, Cond.object('string', Cond.number)), { a: 1 });
+    assert.throws(() => RuntimeTypeCheck.parse({ ...params, range: [ '0', 'x' ] }, descriptor), TypeCheckError, 'at "range[1]"');
+  });
+  it('withDefault', () => {
+    const descriptor = Cond.shape({ step: Cond.withDefault(1, Cond.number) });
+
+    assert.deepEqual(RuntimeTypeCheck.parse({}, descriptor), { step: 1 });
+    assert.deepEqual(RuntimeTypeCheck.parse({ step: '3' }, descriptor), { step: 3 });
+    assert.strictEqual(RuntimeTypeCheck.parse(undefined, Cond.withDefault('foo', Cond.string)), 'foo');
+    assert.isOk(RuntimeTypeCheck.assert({}, descriptor));
+  });
+  it('assert stays strict', () => {
+    assert.isNotOk(RuntimeTypeCheck.assert('3.5', Cond.number));
+    assert.isNotOk(RuntimeTypeCheck.assert('true', Cond.boolean));
+    assert.isNotOk(RuntimeTypeCheck.assert({ step: '2' }, Cond.shape({ step: Cond.integer })));
+  });
+});
+
+describe('toJSONSchema', () => {
+  it('Types', () => {
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.string), { type: 'string', description: 'string' });
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.true), { type: 'boolean', const: true, description: 'true' });
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.integer), { type: 'integer', description: 'integer' });
+  });
+  it('Condition lists and descriptors', () => {
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema([ Cond.positive, Cond.integer ], Cond.keywords('auto', 'none')), {
+      anyOf: [
+        { type: 'integer', exclusiveMinimum: 0, description: 'positive integer' },
+        { type: 'string', enum: [ 'auto', 'none' ], description: 'one of the keywords "auto" or "none"' },
+      ]
+    });
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema([ Cond.nonempty, Cond.maxLength(3) ]), {
+      anyOf: [{ type: 'array' }, { type: 'string' }],
+      minLength: 1, minItems: 1, maxLength: 3, maxItems: 3,
+      description: 'non-empty array that has a length of at most 3 OR non-empty string that has a length of at most 3',
+    });
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema([ Cond.min(2), Cond.max(5) ]), {
+      type: 'number', minimum: 2, maximum: 5, description: 'number that is at least 2 and is at most 5'
+    });
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema([ Cond.min(2), Cond.min(3) ]), {
+      allOf: [{ type: 'number', minimum: 2 }, { type: 'number', minimum: 3 }],
+      description: 'number that is at least 2 and is at least 3'
+    });
+  });
+  it('Containers', () => {
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.array(Cond.number)), {
+      type: 'array', items: { type: 'number', description: 'number' }, description: 'Array<number>'
+    });
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.object('string', Cond.boolean)), {
+      type: 'object', additionalProperties: { type: 'boolean', description: 'boolean' }, description: 'Object<string, boolean>'
+    });
+    const shape = RuntimeTypeCheck.toJSONSchema(Cond.shape({
+      name: Cond.string,
+      step: Cond.optional(Cond.number),
+      vertical: Cond.withDefault(false, Cond.boolean),
+    }));
+    assert.deepEqual(shape.properties.step, { type: 'number', description: 'number OR undefined' });
+    assert.deepEqual(shape.properties.vertical, { type: 'boolean', default: false, description: 'boolean OR undefined' });
+    assert.deepEqual(shape.required, [ 'name' ]);
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.tuple(Cond.string)).items, false);
+  });
+  it('Custom schema', () => {
+    const even = {
+      conditions: [ Cond.integer ],
+      assert: val => val % 2 === 0,
+      schema: { multipleOf: 2 },
+      shouldBe: { before: 'even' },
+    };
+    assert.deepEqual(RuntimeTypeCheck.toJSONSchema(even), { type: 'integer', multipleOf: 2, description: 'even integer' });
+  });
+  it('Unknown conditions', () => {
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = msg => warnings.push(msg);
+    try {
+      assert.deepEqual(RuntimeTypeCheck.toJSONSchema([ Cond.positive, Cond.instanceOf(Map) ]), {
+        type: 'number', exclusiveMinimum: 0, description: 'positive Map'
+      });
+      assert.deepEqual(RuntimeTypeCheck.toJSONSchema(Cond.bigint), { description: 'bigint' });
+    } finally {
+      console.warn = warn;
+    }
+    assert.lengthOf(warnings, 2);
+    assert.include(warnings[0], '"Map"');
+  });
+});
+
+describe('fromJSONSchema', () => {
+  function assertSchema(val, schema) {
+    return RuntimeTypeCheck.assertAndThrow(val, ...RuntimeTypeCheck.fromJSONSchema(schema));
+  }
+
+  it('Types and keywords', () => {
+    const integer = { type: 'integer', minimum: 1, exclusiveMaximum: 10 };
+    assert.isOk(assertSchema(3, integer));
+    assert.throws(() => assertSchema(2.5, integer), TypeCheckError, 'Expected integer that is at least 1 and is less than 10, got a floating point number');
+    assert.throws(() => assertSchema(10, integer), TypeCheckError, 'got a number greater than or equal to 10');
+
+    const string = { type: [ 'string', 'null' ], minLength: 1, maxLength: 2, pattern: '^[a-z]+$' };
+    assert.isOk(assertSchema(null, string));
+    assert.isOk(assertSchema('ab', string));
+    assert.throws(() => assertSchema('abc', string), TypeCheckError, 'got a string of length 3');
+    assert.throws(() => assertSchema('A', string), TypeCheckError, 'got a string not matching /^[a-z]+$/u');
+
+    assert.isOk(assertSchema('3e4d5a8c-31c2-4f46-9c5a-8ac5b8f2d3c1', { type: 'string', format: 'uuid' }));
+    assert.isOk(assertSchema(true, { type: 'boolean' }));
+    assert.isOk(assertSchema('foo', true));
+    assert.throws(() => assertSchema('foo', false), TypeCheckError, 'Expected no value, got string');
+  });
+  it('Type inference', () => {
+    assert.isOk(assertSchema(5, { minimum: 3 }));
+    assert.isOk(assertSchema('foo', { minimum: 3 }));
+    assert.isOk(assertSchema(5, { pattern: 'a' }));
+    assert.isOk(assertSchema(null, { minLength: 1, minimum: 3 }));
+    assert.throws(() => assertSchema(2, { minimum: 3 }), TypeCheckError, 'Expected number that is at least 3 OR any value other than a number, got a number less than 3');
+    assert.throws(() => assertSchema('', { minLength: 1, minimum: 3 }), TypeCheckError, 'got a string of length 0');
+    assert.isOk(assertSchema('foo', {}));
+  });
+  it('enum and const', () => {
+    assert.throws(() => assertSchema('c', { enum: [ 'a', 'b' ] }), TypeCheckError, 'Expected one of the keywords "a" or "b", got a different string');
+    assert.throws(() => assertSchema(3, { enum: [ 1, 2, null ] }), TypeCheckError, 'Expected one of the values 1, 2 or null');
+    assert.isOk(assertSchema(false, { const: false }));
+    assert.throws(() => assertSchema('foo', { type: 'string', const: 'bar' }), TypeCheckError, 'Expected the keyword "bar"');
+  });
+  it('Arrays', () => {
+    assert.throws(() => assertSchema([ 1, 'a' ], { type: 'array', items: { type: 'number' }, maxItems: 3 }), TypeCheckError, 'at "[1]"');
+    assert.throws(() => assertSchema([], { items: { type: 'number' }, minItems: 1 }), TypeCheckError, 'Expected Array<number> that has a length of at least 1 OR any value other than an array, got an array of length 0');
+
+    const tuple = { type: 'array', prefixItems: [{ type: 'string' }, { type: 'number' }], minItems: 1, items: false };
+    assert.isOk(assertSchema([ 'a' ], tuple));
+    assert.throws(() => assertSchema([ 'a', 2, 3 ], tuple), TypeCheckError, 'Expected [string, number?], got an array of length 3');
+
+    const warn = console.warn;
+    const warnings = [];
+    console.warn = msg => warnings.push(msg);
+    try {
+      RuntimeTypeCheck.toJSONSchema(...RuntimeTypeCheck.fromJSONSchema({ type: 'array', prefixItems: [{ type: 'string' }] }));
+      RuntimeTypeCheck.toJSONSchema(...RuntimeTypeCheck.fromJSONSchema(false));
+    } finally {
+      console.warn = warn;
+    }
+    assert.lengthOf(warnings, 0);
+  });
+  it('Objects', () => {
+    const schema = {
+      type: 'object',
+      properties: { step: { type: 'integer' }, label: { type: 'string' } },
+      required: [ 'step', 'id' ],
+      additionalProperties: false,
+    };
+    assert.isOk(assertSchema({ step: 1, id: 'a' }, schema));
+    assert.throws(() => assertSchema({ id: 'a' }, schema), TypeCheckError, 'got a missing property at "step"');
+    assert.throws(() => assertSchema({ step: 1 }, schema), TypeCheckError, 'got a missing property at "id"');
+    assert.throws(() => assertSchema({ step: 1, id: 'a', foo: 3 }, schema), TypeCheckError, 'got an object with the additional property "foo"');
+
+    const map = { properties: { a: { type: 'string' } }, additionalProperties: { type: 'number' } };
+    assert.isOk(assertSchema({ a: 'a', b: 2 }, map));
+    assert.throws(() => assertSchema({ b: 'b' }, map), TypeCheckError, 'got string at "b"');
+  });
+  it('anyOf and allOf', () => {
+    const schema = { anyOf: [{ type: 'string' }, { allOf: [{ type: 'integer' }, { maximum: 3 }] }] };
+    assert.isOk(assertSchema('foo', schema));
+    assert.throws(() => assertSchema(5, schema), TypeCheckError, 'Expected string OR integer that is at most 3, got a number greater than 3');
+  });
+  it('Local references', () => {
+    const schema = {
+      $defs: {
+        Node: {
+          type: 'object',
+          properties: { name: { type: 'string' }, children: { type: 'array', items: { $ref: '#/$defs/Node' } } },
+          required: [ 'name' ],
+        }
+      },
+      $ref: '#/$defs/Node',
+    };
+    assert.isOk(assertSchema({ name: 'a', children: [{ name: 'b' }] }, schema));
+    assert.throws(() => assertSchema({ name: 'a', children: [{ name: 'b', children: [{ name: 3 }] }] }, schema), TypeCheckError,
+      'Expected object whose property "name" is a string and whose optional property "children" is an Array<Node>, got');
+    assert.throws(() => assertSchema(3, { $defs: { name: { type: 'string' } }, $ref: '#/$defs/name' }), TypeCheckError, 'Expected string, got number');
+    assert.throws(() => assertSchema({ name: 'a', children: [{ name: 'b', children: [{ name: 3 }] }] }, schema), TypeCheckError, 'at "children[0].children[0].name"');
+  });
+  it('References leave the message cache configuration alone', () => {
+    const cacheStates = [];
+    RuntimeTypeCheck.registerLocale('cacheSpy', {
+      messages: {
+        'lazy.shouldBe': name => {
+          cacheStates.push(RuntimeTypeCheck.cacheMessages);
+          return { type: name };
+        }
+      }
+    });
+    RuntimeTypeCheck.setLocale('cacheSpy');
+    try {
+      const descriptor = RuntimeTypeCheck.fromJSONSchema({
+        $defs: { List: { type: 'array', items: { $ref: '#/$defs/List' } } },
+        $ref: '#/$defs/List',
+      });
+      assert.equal(RuntimeTypeCheck.getMessageExpected(...descriptor), 'Array<List>');
+      assert.equal(RuntimeTypeCheck.getMessageExpected(...descriptor), 'Array<List>');
+    } finally {
+      RuntimeTypeCheck.setLocale('en');
+    }
+    assert.isNotEmpty(cacheStates);
+    assert.isTrue(cacheStates.every(Boolean));
+  });
+  it('Unsupported schemas', () => {
+    assert.throws(() => RuntimeTypeCheck.fromJSONSchema({ oneOf: [], not: {} }), 'Unsupported keywords "oneOf", "not" at "#"');
+    assert.throws(() => RuntimeTypeCheck.fromJSONSchema({ properties: { a: { type: 'string', format: 'date' } } }), 'Unsupported format "date" at "#/properties/a"');
+    assert.throws(() => RuntimeTypeCheck.fromJSONSchema({ $ref: 'https://example.com/schema' }), 'Unsupported non-local reference');
+    assert.throws(() => RuntimeTypeCheck.fromJSONSchema({ $ref: '#/$defs/Foo' }), 'Cannot resolve reference "#/$defs/Foo"');
+    assert.throws(() => RuntimeTypeCheck.fromJSONSchema({ enum: [ 'a', [] ] }), 'Unsupported array value');
+    assert.throws(() => RuntimeTypeCheck.fromJSONSchema({ type: 'foo' }), 'Unknown type "foo"');
+  });
+  it('Round trip', () => {
+    const descriptor = [[ Cond.positive, Cond.integer ], Cond.keywords('auto')];
+    const roundTrip = RuntimeTypeCheck.fromJSONSchema(RuntimeTypeCheck.toJSONSchema(...descriptor));
+    for (const val of [ 3, -3, 2.5, 'auto', 'foo' ]) {
+      assert.equal(RuntimeTypeCheck.assert(val, ...roundTrip), RuntimeTypeCheck.assert(val, ...descriptor));
+    }
+  });
+});
+
+describe('compile', () => {
+  const descriptors = [
+    [ Cond.string ],
+    [[ Cond.positive, Cond.integer ]],
+    [ Cond.string, [ Cond.nonnegative, Cond.integer, Cond.max(10) ], Cond.false ],
+    [[ Cond.nonempty, Cond.maxLength(3) ]],
+    [ Cond.array(Cond.number), Cond.nullable(Cond.shape({ a: Cond.string })) ],
+    [{ conditions: [], assert: () => true }],
+  ];
+  const values = [ 'foo', '', 'foobar', 3, -3, 2.5, 12, false, true, null, undefined, [], [ 1 ], [ 'a' ], { a: 'b' }, {} ];
+
+  it('Equivalent to assert', () => {
+    for (const descriptor of descriptors) {
+      const compiled = RuntimeTypeCheck.compile(...descriptor);
+      for (const val of values) {
+        assert.equal(compiled(val), RuntimeTypeCheck.assert(val, ...descriptor), `${RuntimeTypeCheck.getMessageExpected(...descriptor)}: ${String(val)}`);
+      }
+    }
+  });
+  it('Shared conditions are asserted once', () => {
+    let count = 0;
+    const number = { ...Cond.number, assert: val => ++count && typeof val === 'number' };
+    const positive = { ...Cond.positive, conditions: [ number ] };
+    const integer = { ...Cond.integer, conditions: [ number ] };
+
+    RuntimeTypeCheck.compile([ positive, integer ])(3);
+    assert.equal(count, 1);
+    count = 0;
+    RuntimeTypeCheck.assert(3, [ positive, integer ]);
+    assert.equal(count, 2);
+  });
+  it('Short-circuits', () => {
+    const condition = {
+      conditions: [ Cond.number ],
+      assert() {
+        throw new Error('Should not be evaluated!');
+      }
+    };
+    assert.isNotOk(RuntimeTypeCheck.compile(condition)('foo'));
+  });
+  it('Asserts the conditions of a list first', () => {
+    // Relies on the conditions of its sibling
+    const nonblank = {
+      assert: val => val.trim() !== '',
+      shouldBe: { before: 'non-blank' },
+      is: 'a blank string'
+    };
+    const text = { conditions: [ Cond.string ], assert: val => true };
+    const compiled = RuntimeTypeCheck.compile([ nonblank, text ]);
+    for (const val of [ 3, ' ', 'foo' ]) {
+      assert.equal(compiled(val), RuntimeTypeCheck.assert(val, [ nonblank, text ]));
+    }
+  });
+  it('assertAndThrow', () => {
+    const compiled = RuntimeTypeCheck.compile(Cond.string, [ Cond.positive, Cond.integer ]);
+    assert.isOk(compiled.assertAndThrow(3));
+    assert.throws(() => compiled.assertAndThrow(-3), TypeCheckError, 'Expected string OR positive integer, got a negative number or 0');
+  });
+  it('Throws on asynchronous conditions', () => {
+    const compiled = RuntimeTypeCheck.compile({
+      conditions: [ Cond.number ],
+      assert: async val => val > 5,
+      shouldBe: { after: 'greater than 5' },
+      is: 'a number of at most 5'
+    });
+    assert.throws(() => compiled(1), 'returned a promise');
+    assert.throws(() => compiled.assertAndThrow(1), 'returned a promise');
+    assert.isNotOk(compiled('foo'));
+  });
+});
+
+describe('Descriptor checks', () => {
+  const getError = (...descriptor) => {
+    try {
+      RuntimeTypeCheck.checkDescriptor(...descriptor);
+    } catch (err) {
+      return err;
+    }
+    assert.fail();
+  }
+  afterEach(() => {
+    RuntimeTypeCheck.checkDescriptors = true;
+  });
+
+  it('Well-formed descriptors', () => {
+    assert.isOk(RuntimeTypeCheck.checkDescriptor(Cond.string, [ Cond.positive, Cond.integer ], Cond.array));
+    assert.isOk(RuntimeTypeCheck.checkDescriptor({ assert: () => true }));
+  });
+  it('Missing conditions', () => {
+    const err = getError(Cond.string, [ Cond.positve, Cond.integer ]);
+    assert.instanceOf(err, ConditionDefinitionError);
+    assert.equal(err.message, 'Invalid condition at descriptor[1][0]: Expected a condition object, got undefined.');
+    assert.deepEqual(err.position, [ 1, 0 ]);
+    assert.isUndefined(err.key);
+  });
+  it('Malformed fields', () => {
+    const err = getError(val => typeof val === 'string');
+    assert.equal(err.key, 'assert');
+    assert.equal(err.message, 'Invalid condition at descriptor[0]: Its "assert" field should be a function, got undefined.');
+
+    assert.equal(getError({ assert: () => true, shouldBe: 'string' }).key, 'shouldBe');
+    assert.equal(getError({ assert: () => true, shouldBe: { type: 3 } }).key, 'shouldBe');
+    assert.equal(getError({ assert: () => true, is: {} }).key, 'is');
+    assert.equal(getError({ assert: () => true, conditions: Cond.number }).key, 'conditions');
+  });
+  it('Nested conditions', () => {
+    const err = getError([ Cond.number, { assert: () => true, conditions: [ Cond.string, [ Cond.number, null ] ] } ]);
+    assert.deepEqual(err.position, [ 0, 1, 'conditions', 1, 1 ]);
+    assert.equal(err.message, 'Invalid condition at descriptor[0][1].conditions[1][1]: Expected a condition object, got null.');
+  });
+  it('Checked when asserting', () => {
+    assert.throws(() => RuntimeTypeCheck.assert(3, Cond.positve), ConditionDefinitionError);
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(3, [ Cond.number, Cond.integr ]), ConditionDefinitionError);
+    assert.throws(() => RuntimeTypeCheck.parse('3', Cond.numbr), ConditionDefinitionError);
+    assert.throws(() => RuntimeTypeCheck.compile(Cond.strng), ConditionDefinitionError);
+    assert.throws(() => RuntimeTypeCheck.getMessageExpected(Cond.positve), ConditionDefinitionError);
+    assert.throws(() => RuntimeTypeCheck.toJSONSchema(Cond.positve), ConditionDefinitionError);
+  });
+  it('Nested in condition generators', () => {
+    const getGeneratorError = generate => {
+      try {
+        generate();
+      } catch (err) {
+        return err;
+      }
+      assert.fail();
+    }
+    const err = getGeneratorError(() => Cond.shape({ width: [[ Cond.positve, Cond.integer ]] }));
+    assert.instanceOf(err, ConditionDefinitionError);
+    assert.deepEqual(err.position, [ 'width', 0, 0 ]);
+    assert.equal(err.message, `Condition 'shape': Invalid condition at descriptor.width[0][0]: Expected a condition object, got undefined.`);
+
+    assert.deepEqual(getGeneratorError(() => Cond.array(Cond.positve)).position, [ 0 ]);
+    assert.deepEqual(getGeneratorError(() => Cond.tuple(Cond.number, Cond.positve)).position, [ 1 ]);
+    assert.deepEqual(getGeneratorError(() => Cond.record(Cond.string, [ Cond.positve ])).position, [ 1, 0 ]);
+    assert.deepEqual(getGeneratorError(() => Cond.union('type', { circle: Cond.positve })).position, [ 'circle' ]);
+    assert.instanceOf(getGeneratorError(() => Cond.set(Cond.positve)), ConditionDefinitionError);
+    assert.instanceOf(getGeneratorError(() => Cond.map(Cond.positve, Cond.string)), ConditionDefinitionError);
+    assert.instanceOf(getGeneratorError(() => Cond.promise(Cond.positve)), ConditionDefinitionError);
+    assert.instanceOf(getGeneratorError(() => RuntimeTypeCheck.assert(3, Cond.lazy('Foo', () => Cond.positve))), ConditionDefinitionError);
+  });
+  it('Getters are not invoked', () => {
+    let accessCount = 0;
+    const cond = {
+      assert: val => true,
+      get shouldBe() {
+        accessCount++;
+        return { type: 'foo' };
+      }
+    };
+    assert.isOk(RuntimeTypeCheck.checkDescriptor(cond));
+    assert.equal(accessCount, 0);
+  });
+  it('Can be disabled', () => {
+    RuntimeTypeCheck.checkDescriptors = false;
+    assert.throws(() => RuntimeTypeCheck.assert(3, Cond.positve), TypeError);
+  });
+});
+
+describe('checked', () => {
+  const shape = Cond.shape({
+    display: Cond.shape({ width: Cond.positive }),
+    tags: Cond.array(Cond.string),
+  });
+  const create = (strict) => RuntimeTypeCheck.checked({ display: { width: 3 }, tags: [ 'a' ] }, shape, strict);
+
+  it('Asserts the initial object', () => {
+    assert.throws(() => RuntimeTypeCheck.checked({ display: {}, tags: [] }, shape), TypeCheckError);
+  });
+  it('Valid mutations', () => {
+    const obj = create();
+    obj.display.width = 5;
+    obj.tags.push('b');
+    obj.foo = 'bar';
+    delete obj.foo;
+    assert.deepEqual(obj, { display: { width: 5 }, tags: [ 'a', 'b' ] });
+    assert.equal(obj.display, obj.display);
+  });
+  it('Invalid mutations', () => {
+    const obj = create();
+    try {
+      obj.display.width = -1;
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, TypeCheckError);
+      assert.deepEqual(err.path, [ 'display', 'width' ]);
+      assert.equal(err.message, 'Expected object whose property "width" is a positive number, got a negative number or 0 at "display.width"');
+    }
+    assert.throws(() => obj.tags.push(3), 'at "tags[1]"');
+    assert.throws(() => Object.defineProperty(obj.display, 'width', { value: 'foo' }), 'at "display.width"');
+    assert.throws(() => delete obj.display, 'got a missing property at "display"');
+    assert.deepEqual(obj, { display: { width: 3 }, tags: [ 'a' ] });
+  });
+  it('Strict mode', () => {
+    const obj = create(true);
+    assert.throws(() => obj.foo = 3, 'got an unknown property at "foo"');
+    assert.throws(() => obj.display.height = 3, 'got an unknown property at "display.height"');
+    assert.doesNotThrow(() => obj.tags.push('b'));
+  });
+});
+
+describe('Decorators', () => {
+  // Decorators are applied manually as per the spec since
+  // the decorator syntax is not yet supported natively.
+  const context = (kind, name, isStatic = false) => ({ kind, name, static: isStatic, private: name.startsWith('#') });
+  class Slider {}
+
+  it('typed: field', () => {
+    const init = RuntimeTypeCheck.typed(Cond.string)(undefined, context('field', 'label'));
+    assert.equal(init.call(new Slider(), 'foo'), 'foo');
+    assert.throws(() => init.call(new Slider(), 3), PropertyTypeCheckError, 'Slider#label: Expected string, got number');
+  });
+  it('typed: accessor', () => {
+    let value;
+    const accessor = RuntimeTypeCheck.typed(Cond.array(Cond.number))({
+      get() { return value; },
+      set(val) { value = val; }
+    }, context('accessor', 'range'));
+
+    accessor.set.call(new Slider(), [ 1, 2 ]);
+    assert.deepEqual(value, [ 1, 2 ]);
+    assert.throws(() => accessor.init.call(new Slider(), 'foo'), 'Slider#range: Expected Array<number>, got string');
+    try {
+      accessor.set.call(new Slider(), [ 1, 'a' ]);
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, PropertyTypeCheckError);
+      assert.instanceOf(err, TypeCheckError);
+      assert.equal(err.className, 'Slider');
+      assert.equal(err.propertyName, 'range');
+      assert.equal(err.message, 'Slider#range: Expected Array<number>, got Array<string> at "[1]"');
+    }
+    assert.deepEqual(value, [ 1, 2 ]);
+  });
+  it('typed: static and private setters', () => {
+    const setter = RuntimeTypeCheck.typed(Cond.string)(function() {}, context('setter', 'label', true));
+    assert.throws(() => setter.call(Slider, 3), 'Slider.label: Expected string, got number');
+    const privateSetter = RuntimeTypeCheck.typed(Cond.string)(function() {}, context('setter', '#label'));
+    assert.throws(() => privateSetter.call(new Slider(), 3), 'Slider#label: Expected string, got number');
+  });
+  it('typed: unsupported kind', () => {
+    assert.throws(() => RuntimeTypeCheck.typed(Cond.string)(() => {}, context('method', 'foo')), /cannot be applied to a method/);
+  });
+  it('args', () => {
+    const method = RuntimeTypeCheck.args(Cond.array(Cond.number))(function setRange(range) {
+      return this;
+    }, context('method', 'setRange'));
+    const slider = new Slider();
+    assert.equal(method.call(slider, [ 1 ]), slider);
+    assert.throws(() => method.call(slider, 3), FunctionTypeCheckError,
+      'Argument 1 (`range`) of `Slider#setRange`: Expected Array<number>, got number');
+    assert.throws(() => RuntimeTypeCheck.args()(undefined, context('field', 'foo')), /only to a method/);
+  });
+});
+
+describe('Configuration', () => {
+  let warnings;
+  const warn = console.warn;
+  beforeEach(() => {
+    warnings = [];
+    console.warn = err => warnings.push(err);
+  });
+  afterEach(() => {
+    console.warn = warn;
+    RuntimeTypeCheck.configure({ enabled: true, mode: 'throw', onFailure: undefined });
+  });
+
+  it('Defaults', () => {
+    assert.deepEqual(RuntimeTypeCheck.config, { enabled: true, mode: 'throw' });
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(3, Cond.string), TypeCheckError);
+  });
+  it('warn', () => {
+    RuntimeTypeCheck.configure({ mode: 'warn' });
+    assert.isFalse(RuntimeTypeCheck.assertAndThrow(3, Cond.string));
+    assert.isTrue(RuntimeTypeCheck.assertAndThrow('foo', Cond.string));
+    assert.lengthOf(warnings, 1);
+    assert.instanceOf(warnings[0], TypeCheckError);
+    assert.equal(warnings[0].message, 'Expected string, got number');
+  });
+  it('silent with a reporter', () => {
+    const reported = [];
+    RuntimeTypeCheck.configure({ mode: 'silent', onFailure: err => reported.push(err) });
+    assert.isFalse(RuntimeTypeCheck.assertAndThrow(3, Cond.string));
+    assert.isFalse(RuntimeTypeCheck.validateAndThrow([ 1, 2 ], Cond.array(Cond.string)));
+    assert.equal(RuntimeTypeCheck.parse('3.5', Cond.integer), 3.5);
+    assert.isFalse(RuntimeTypeCheck.compile(Cond.string).assertAndThrow(3));
+
+    assert.deepEqual(reported.map(err => err.constructor), [
+      TypeCheckError, TypeCheckAggregateError, TypeCheckError, TypeCheckError
+    ]);
+    assert.lengthOf(warnings, 0);
+  });
+  it('Reporter is called before throwing', () => {
+    const reported = [];
+    RuntimeTypeCheck.configure({ onFailure: err => reported.push(err) });
+    assert.throws(() => RuntimeTypeCheck.assertAndThrow(3, Cond.string), TypeCheckError);
+    assert.lengthOf(reported, 1);
+  });
+  it('Wrapped errors are reported', () => {
+    const reported = [];
+    RuntimeTypeCheck.configure({ mode: 'silent', onFailure: err => reported.push(err) });
+
+    const guarded = RuntimeTypeCheck.guard(function add(a, b) { return a + b }, Cond.number, Cond.number);
+    assert.equal(guarded(1, '2'), '12');
+    assert.instanceOf(reported[0], FunctionTypeCheckError);
+
+    const obj = RuntimeTypeCheck.checked({ width: 3 }, Cond.shape({ width: Cond.positive }));
+    obj.width = -1;
+    assert.equal(obj.width, -1);
+    assert.deepEqual(reported[1].path, [ 'width' ]);
+
+    const init = RuntimeTypeCheck.typed(Cond.string)(undefined, { kind: 'field', name: 'label', static: false, private: false });
+    assert.equal(init.call({}, 3), 3);
+    assert.instanceOf(reported[2], PropertyTypeCheckError);
+  });
+  it('Disabled', () => {
+    RuntimeTypeCheck.configure({ enabled: false });
+    const condition = { assert: () => assert.fail('Should not be evaluated!'), shouldBe: {}, is: '' };
+    assert.isTrue(RuntimeTypeCheck.assertAndThrow(3, condition));
+    assert.isTrue(RuntimeTypeCheck.validateAndThrow(3, condition));
+    assert.isTrue(RuntimeTypeCheck.compile(condition).assertAndThrow(3));
+    assert.equal(RuntimeTypeCheck.guard(a => a, condition)(3), 3);
+    assert.equal(RuntimeTypeCheck.parse('3', Cond.number), 3);
+  });
+  it('Unknown mode', () => {
+    assert.throws(() => RuntimeTypeCheck.configure({ mode: 'log' }), 'Unknown mode "log"');
+  });
+  it('Isolated instances', () => {
+    RuntimeTypeCheck.configure({ enabled: false });
+    const typeCheck = new RuntimeTypeCheck();
+    assert.deepEqual(typeCheck.config, { enabled: true, mode: 'throw' });
+    assert.throws(() => typeCheck.assertAndThrow(3, Cond.string), TypeCheckError);
+    assert.throws(() => typeCheck.guard(a => a, Cond.string)(3), FunctionTypeCheckError);
+
+    const warning = new RuntimeTypeCheck({ mode: 'warn' });
+    assert.isFalse(warning.assertAndThrow(3, Cond.string));
+    assert.lengthOf(warnings, 1);
+    warning.configure({ enabled: false });
+    assert.isTrue(warning.assertAndThrow(3, Cond.string));
+    assert.isFalse(RuntimeTypeCheck.config.enabled);
+  });
+  it('Configuration applies at call time', () => {
+    const guarded = RuntimeTypeCheck.guard(a => a, Cond.string);
+    RuntimeTypeCheck.configure({ enabled: false });
+    assert.equal(guarded(3), 3);
+    RuntimeTypeCheck.configure({ enabled: true });
+    assert.throws(() => guarded(3), FunctionTypeCheckError);
+  });
+});
+
+describe('Async conditions', () => {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const evenSync = {
+    conditions: [ Cond.number ],
+    assert: val => val % 2 === 0,
+    shouldBe: { before: 'even' },
+    is: 'an odd number'
+  };
+  const even = { ...evenSync, assert: async val => (await wait(1), val % 2 === 0) };
+  const getMessage = async callback => {
+    try {
+      await callback();
+    } catch (err) {
+      return err.message;
+    }
+    assert.fail('Expected an error');
+  };
+
+  it('assertAsync', async () => {
+    assert.isTrue(await RuntimeTypeCheck.assertAsync(2, even));
+    assert.isFalse(await RuntimeTypeCheck.assertAsync(3, even));
+    assert.isFalse(await RuntimeTypeCheck.assertAsync('2', even));
+    assert.isTrue(await RuntimeTypeCheck.assertAsync([ 2, 4 ], Cond.array(even)));
+    assert.isTrue(await RuntimeTypeCheck.assertAsync('foo', [ even ], [ Cond.string ]));
+  });
+  it('Sync conditions', async () => {
+    assert.isTrue(await RuntimeTypeCheck.assertAsync('foo', Cond.string));
+    assert.isFalse(await RuntimeTypeCheck.assertAsync(3, Cond.string));
+    assert.isTrue(await RuntimeTypeCheck.assertAndThrowAsync({ a: 2 }, Cond.shape({ a: Cond.positive })));
+  });
+  it('Synchronous assertion throws on a promise', () => {
+    assert.throws(() => RuntimeTypeCheck.assert(2, even), 'returned a promise');
+  });
+  it('Independent conditions are evaluated in parallel', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const slow = {
+      assert: async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await wait(5);
+        active--;
+        return true;
+      },
+      shouldBe: {},
+      is: ''
+    };
+    assert.isTrue(await RuntimeTypeCheck.assertAsync([ 1, 2, 3 ], Cond.array(slow)));
+    assert.equal(maxActive, 3);
+  });
+  it('Conditions are awaited before dependent conditions', async () => {
+    const evaluated = [];
+    const dependent = {
+      conditions: [ even ],
+      assert: val => (evaluated.push(val), true),
+      shouldBe: {},
+      is: ''
+    };
+    assert.isFalse(await RuntimeTypeCheck.assertAsync(3, dependent));
+    assert.isTrue(await RuntimeTypeCheck.assertAsync(4, dependent));
+    assert.deepEqual(evaluated, [ 4 ]);
+  });
+  it('Messages match the synchronous ones', async () => {
+    const cases = [
+      [ 3, desc => [ desc ] ],
+      [ 'foo', desc => [ desc ] ],
+      [ [ 2, 3 ], desc => [ Cond.array(desc) ] ],
+      [ { a: 2, b: 5 }, desc => [ Cond.shape({ a: desc, b: [ [ desc, Cond.positive ] ] }) ] ],
+      [ 5, desc => [ [ desc ], [ Cond.string ] ] ],
+    ];
+    for (const [ val, getDescriptor ] of cases) {
+      const expected = await getMessage(() => RuntimeTypeCheck.assertAndThrow(val, ...getDescriptor(evenSync)));
+      assert.equal(await getMessage(() => RuntimeTypeCheck.assertAndThrowAsync(val, ...getDescriptor(even))), expected);
+    }
+    assert.equal(await getMessage(() => RuntimeTypeCheck.assertAndThrowAsync([ 2, 3 ], Cond.array(even))),
+      'Expected Array<even number>, got Array<an odd number> at "[1]"');
+  });
+  it('Cond.promise', async () => {
+    assert.isTrue(await RuntimeTypeCheck.assertAsync(Promise.resolve('foo'), Cond.promise(Cond.string)));
+    assert.isTrue(await RuntimeTypeCheck.assertAsync(Promise.resolve(4), Cond.promise(even)));
+    assert.isFalse(await RuntimeTypeCheck.assertAsync(Promise.resolve(3), Cond.promise(even)));
+    assert.isFalse(await RuntimeTypeCheck.assertAsync('foo', Cond.promise(Cond.string)));
+
+    assert.equal(await getMessage(() => RuntimeTypeCheck.assertAndThrowAsync(Promise.resolve(3), Cond.promise(Cond.string))),
+      'Expected Promise<string>, got Promise<number>');
+    assert.equal(await getMessage(() => RuntimeTypeCheck.assertAndThrowAsync(Promise.reject(new Error()), Cond.promise(Cond.string))),
+      'Expected Promise<string>, got a rejected Promise');
+    assert.equal(await getMessage(() => RuntimeTypeCheck.assertAndThrowAsync(3, Cond.promise(Cond.string))),
+      'Expected Promise<string>, got number');
+  });
+  it('Configuration', async () => {
+    const condition = { assert: () => assert.fail('Should not be evaluated!'), shouldBe: {}, is: '' };
+    const typeCheck = new RuntimeTypeCheck({ enabled: false });
+    assert.isTrue(await typeCheck.assertAndThrowAsync(3, condition));
+
+    const reported = [];
+    typeCheck.configure({ enabled: true, mode: 'silent', onFailure: err => reported.push(err) });
+    assert.isFalse(await typeCheck.assertAndThrowAsync(3, even));
+    assert.instanceOf(reported[0], TypeCheckError);
+  });
+});
+
 // describe('Type messages', () => {
 //   it('Multiple dependent conditions', () => {
 //     assert.throws(RuntimeTypeCheck.assertAndThrow(0, [ Cond.length(12) ]), '');